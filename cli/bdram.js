@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+/**
+ * =============================================================================
+ * BDRAM Scanner - Command Line Runner
+ *
+ * Runs the full pipeline without a browser:
+ *   parse / validate each file → Preprocessor → BDRAMScanner.processBatches
+ *   → logic check → Static / Dynamic .txt files + a JSON report, plus CSVs
+ *   of what the preprocessor's ingest filters removed and its class catalogue.
+ *
+ * The browser modules are plain scripts that share globals, so they are
+ * loaded into this process in the same order as index.html rather than
+ * required.  PapaParse isn't needed: CoreUtils.parseCSV falls back to its
+ * own splitter when Papa isn't loaded.  Workers and IndexedDB checkpoints
+ * are browser-only; the scan runs on this thread.
+ *
+ * Usage:  node cli/bdram.js --system <id> [options] <file> <file> [...]
+ *         node cli/bdram.js --help
+ *
+ * Exit codes: 0 done, 1 pipeline error, 2 bad arguments.
+ * =============================================================================
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// Our own output; console.log itself is redirected once the modules load.
+const print = console.log.bind(console);
+
+// Same order as the <script> tags in index.html, minus the UI.
+const MODULES = [
+    'core.js', 'preprocessor.js', 'chain-walker.js', 'list-detector.js', 'tree-detector.js',
+    'table-detector.js', 'pool-detector.js', 'layout-inference.js', 'forward-scanner.js',
+    'reverse-scanner.js', 'scan-pool.js', 'checkpoint-store.js', 'group-analysis.js', 'scan-estimator.js',
+    'project-file.js', 'scanner.js', 'generator.js', 'logic-evaluator.js'
+];
+
+const USAGE = `
+Usage: node cli/bdram.js --system <id> [options] <file> <file> [...]
+
+Files are RAIntegration pointer-search CSVs or raw .bin/.raw RAM dumps, one
+per save state, in batch order (at least 2).
+
+Options:
+  --system <id>          n64, ps1, ps2, psp, gba, ds, dsi, gamecube, wii, dreamcast
+  --targets <list>       Target address per file, comma separated; '-' = none
+                         e.g. --targets 0x80123450,-,0x80125670
+  --groups <list>        Game-context group per file, comma separated; '-' =
+                         none.  Each group is also scanned on its own
+                         e.g. --groups menu,battle,battle,-
+  --out <dir>            Output directory (default: current directory)
+  --name <prefix>        Output file prefix (default: the system id)
+  --max-breadth <hex>    Max offset per hop (default 0xFFC)
+  --max-depth <n>        Max pointer hops, 1-20 (default 12)
+  --states <n>           Paths kept per depth (default 100)
+  --quorum <n>           States a pointer must be in to count as static (default all)
+  --anchor-refs <n>      Drop values more addresses than this point at (default 10, 0 = off)
+  --near-before <n>      Drop values up to n bytes before their own address (default 4)
+  --near-after <n>       Drop values up to n bytes after their own address (default 44)
+  --readmit <list>       Addresses the two filters above must keep, comma separated
+  --range <zone>         A scan range in place of the default split, e.g.
+                         "Heap=0x80200000-0x802FFFFF"; repeat for more
+  --exclude <zone>       A zone no base pointer is taken from, same form; repeatable
+  --ranges <list>        Scan ranges to enable, 1-based (default all)
+  --no-skip-sticky       Include StaticStatic pointers as base pointers
+  --early-out-base       Move to the next base pointer after a result
+  --early-out-target     Stop the whole scan once a target is reached
+  --reverse              Reverse scan (target → base); needs --targets
+  --back <hex>           Reverse scan negative offset window (default 0x100)
+  --fwd <hex>            Reverse scan positive offset window (default 0xFFC)
+  --prune-unresolved     Drop achievements whose chains break in any state
+                         (default: mark them UNRESOLVED)
+  --no-logic-check       Skip checking generated logic against the states
+  --estimate             Don't scan: time a sample of base pointers and print
+                         the estimated scan time and memory
+  --sample <n>           Base pointers the estimate scans (default 200)
+  --verbose              Show the pipeline's own log output
+  --help                 Show this help
+`;
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+async function main(argv) {
+    let opts;
+    try {
+        opts = parseArgs(argv);
+    } catch (err) {
+        process.stderr.write(`${err.message}\n${USAGE}`);
+        return 2;
+    }
+    if (opts.help) { process.stdout.write(USAGE); return 0; }
+
+    loadModules(opts.verbose);
+
+    // Config only exists once core.js is loaded
+    if (!Config.isValidSystem(opts.systemId)) {
+        process.stderr.write(`Unknown system "${opts.systemId}"\n${USAGE}`);
+        return 2;
+    }
+
+    // So does the range layout parser
+    try {
+        applyRangeLayout(opts);
+    } catch (err) {
+        process.stderr.write(`${err.message}\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        const report = await run(opts);
+        if (report) log(`Done in ${report.processingTime}s — ${report.structureCount} structures, ` +
+            `${report.targetPaths.length} target path(s)`);
+        return 0;
+    } catch (err) {
+        process.stderr.write(`Error: ${err.message}\n`);
+        return 1;
+    }
+}
+
+/**
+ * --range / --exclude → settings.rangeLayout (the system's own when neither
+ * is given), and --ranges checked against the ranges that gives.
+ */
+function applyRangeLayout(opts) {
+    const { settings } = opts;
+    if (opts.rangeLines.length) settings.rangeLayout = Config.parseRangeLayout(opts.rangeLines.join('\n'));
+
+    const ranges = Config.getRanges(opts.systemId, settings.rangeLayout);
+    settings.enabledRanges ??= ranges.map((_, i) => i);
+    const bad = settings.enabledRanges.find(i => i >= ranges.length);
+    if (bad !== undefined) throw new Error(`--ranges: there is no range ${bad + 1} (${ranges.length} defined)`);
+}
+
+/**
+ * Run the pipeline for parsed options and write the outputs.
+ * @returns {Promise<object|null>} The report that was written; null for
+ *          --estimate, which writes nothing.
+ */
+async function run(opts) {
+    const { systemId } = opts;
+
+    // --- Parse + validate each file, feed the preprocessor in order ---
+    const preprocessor = new Preprocessor();
+    preprocessor.setSystem(systemId);
+    preprocessor.setQuorum(opts.settings.quorum);
+    const filters = { ...Config.getFilterDefaults(systemId), ...opts.filters };
+    preprocessor.setFilters(filters);
+    preprocessor.setRangeLayout(opts.settings.rangeLayout);
+    preprocessor.setSkipSticky(opts.settings.skipStickyPointers);
+
+    const batchData = [];
+    for (const file of opts.files) {
+        const parsed = await parseFile(file, systemId);
+        if (parsed.addresses.length === 0) {
+            throw CoreUtils.createError(`${file}: no valid rows found`, 'cli');
+        }
+        preprocessor.addBatch(parsed);
+        batchData.push(parsed);
+        log(`${path.basename(file)}: ${parsed.addresses.length.toLocaleString()} valid rows`);
+    }
+
+    const counts = preprocessor.getCounts();
+    counts.filtered.forEach((f, b) => {
+        log(`${path.basename(opts.files[b])}: ${f.anchor} anchor, ${f.proximity} proximity entries filtered out`);
+    });
+    log(`Pool: ${counts.staticStatics} StaticStatics, ${counts.staticNodes} Statics, ${counts.dynamicNodes} Dynamic`);
+    for (const r of counts.exclusions) {
+        log(`Excluded ${r.label}: ${r.staticNodes} Statics, ${r.staticStatics} StaticStatics left unscanned`);
+    }
+    const bases = r => r.staticNodes + (opts.settings.skipStickyPointers ? 0 : r.staticStatics);
+    for (const r of counts.density.suggestions) {
+        log(`${r.label}: --range "${r.label}=${CoreUtils.formatHex(r.min)}-${CoreUtils.formatHex(r.max)}" ` +
+            `(~${bases(r)} base pointers, ${(r.share * 100).toFixed(0)}% of the nodes)`);
+    }
+
+    // Near-duplicate states add nothing to the scan
+    const contrast = preprocessor.getContrast();
+    const fileName = b => path.basename(opts.files[b]);
+    for (const d of contrast.duplicates) {
+        log(`Warning: ${fileName(d.a)} and ${fileName(d.b)} are near-duplicates ` +
+            `(${(d.contrast * 100).toFixed(1)}% contrast) — consider replacing ${fileName(d.replace)}`);
+    }
+    const removedCsv = preprocessor.getRemovedCsv(fileName);
+    const classes    = preprocessor.getClassCatalogue();
+    const classCsv   = preprocessor.getClassCsv(fileName);
+    if (classes.length) log(`Classes: ${classes.length} vtable(s) with instances`);
+
+    // --- Scan ---
+    const generator = new AchievementGenerator(systemId);
+    generator.setTargetAddresses(opts.targets);
+
+    const scanner = new BDRAMScanner();
+    Object.assign(scanner, opts.settings);
+    scanner.generator          = generator;
+    scanner.checkpointsEnabled = false;
+    scanner.batchGroups        = opts.groups;
+
+    if (opts.estimate) {
+        const e = await estimateScan(scanner, preprocessor.collapse({ keepPool: true }), opts.targets, opts.sampleSize);
+        log(`Estimate: ${e.basePointers.toLocaleString()} base pointers in range, ${e.sampled} sampled at ` +
+            `${e.perBaseMs.toFixed(1)} ms each`);
+        log(`Estimate: ${formatDuration(e.totalSeconds)} (preparation ${formatDuration(e.prepSeconds + e.bitmapSeconds)}, ` +
+            `scan ${formatDuration(e.scanSeconds)}), ~${CoreUtils.formatBytes(Math.round(e.memoryBytes))} memory, ` +
+            `${e.targetPathsFound} target path(s) in the sample`);
+        return null;
+    }
+
+    globalEventBus.on('progress:update', reportProgress);
+
+    const result = await scanner.processBatches(preprocessor.collapse(), opts.targets);
+
+    // --- Outputs, checked the same way the page checks them ---
+    const staticHeader = `// AUTO-GENERATED STATIC LIST ACHIEVEMENTS\n// System: ${systemId}\n\n`;
+    const checkMode    = opts.pruneUnresolved ? 'prune' : 'flag';
+    let dynamicContent = '// AUTO-GENERATED TEST ACHIEVEMENTS\n// Total achievements: streamed\n\n' + result.streamedOutput;
+    let staticContent  = result.staticOutput ? staticHeader + result.staticOutput : null;
+
+    let logicCheck = null;
+    if (opts.logicCheck) {
+        const checked = LogicEvaluator.checkTexts(
+            systemId, batchData, { dynamicContent, staticContent }, checkMode
+        );
+        ({ dynamicContent, staticContent } = checked.texts);
+        logicCheck = checked.logicCheck;
+    }
+
+    // Group-specific results, checked against their own group's states
+    const groups = result.groups || [];
+    if (groups.length) {
+        const grouped = checkGroupOutputs(systemId, opts.logicCheck ? batchData : null, groups, checkMode);
+        dynamicContent += grouped.streamedOutput;
+        if (grouped.staticOutput) staticContent = (staticContent || staticHeader) + grouped.staticOutput;
+        if (logicCheck) {
+            logicCheck.checked    += grouped.logicCheck.checked;
+            logicCheck.unresolved += grouped.logicCheck.unresolved;
+        }
+        for (const g of groups) {
+            log(`Group ${g.name}: ${g.achievementCount} group-specific achievement(s), ${g.targetPaths.length} target path(s)`);
+        }
+    }
+    if (logicCheck) {
+        log(`Logic check: ${logicCheck.unresolved} of ${logicCheck.checked} achievements unresolved (${logicCheck.mode})`);
+    }
+
+    fs.mkdirSync(opts.outDir, { recursive: true });
+    const outPath = suffix => path.join(opts.outDir, `${opts.name}-${suffix}`);
+
+    const written = [];
+    if (staticContent) {
+        fs.writeFileSync(outPath('Static-Tests.txt'), staticContent);
+        written.push(outPath('Static-Tests.txt'));
+    }
+    fs.writeFileSync(outPath('Dynamic-Tests.txt'), dynamicContent);
+    written.push(outPath('Dynamic-Tests.txt'));
+    fs.writeFileSync(outPath('Filtered.csv'), removedCsv);
+    written.push(outPath('Filtered.csv'));
+    fs.writeFileSync(outPath('Classes.csv'), classCsv);
+    written.push(outPath('Classes.csv'));
+
+    const hexZone = r => ({ ...r, min: CoreUtils.formatHex(r.min >>> 0), max: CoreUtils.formatHex(r.max >>> 0) });
+    const report = {
+        generatedAt:    new Date().toISOString(),
+        systemId,
+        files:          opts.files.map((file, b) => ({
+            file,
+            rows:   batchData[b].addresses.length,
+            group:  opts.groups[b] || null,
+            target: opts.targets[b] === null ? null : CoreUtils.formatHex(opts.targets[b])
+        })),
+        settings:       opts.settings,
+        pool:           { staticStatics: counts.staticStatics, staticNodes: counts.staticNodes, dynamicNodes: counts.dynamicNodes },
+        filters:        { ...filters, readmitted: filters.readmitted.map(a => CoreUtils.formatHex(a)) },
+        ranges:         counts.ranges.map(hexZone),
+        exclusions:     counts.exclusions.map(hexZone),
+        suggestedRanges: counts.density.suggestions.map(r => ({ ...hexZone(r), basePointers: bases(r) })),
+        filtered:       counts.filtered,
+        classes:        classes.map(c => ({ vtable: CoreUtils.formatHex(c.vtable), instances: c.instances })),
+        contrast:       {
+            matrix:       contrast.matrix,
+            meanContrast: contrast.meanContrast,
+            duplicates:   contrast.duplicates.map(d => ({
+                files:    [opts.files[d.a], opts.files[d.b]],
+                contrast: d.contrast,
+                replace:  opts.files[d.replace]
+            }))
+        },
+        batchCount:     result.batchCount,
+        structureCount: result.structureCount,
+        achievements:   { static: scanner.staticAchievementCount, dynamic: scanner.dynamicAchievementCount },
+        processingTime: result.processingTime,
+        targetPaths:    result.targetPaths,
+        groups:         groups.map(g => ({
+            name:         g.name,
+            files:        g.batches.map(b => opts.files[b]),
+            achievements: g.achievementCount,
+            targetPaths:  g.targetPaths
+        })),
+        logicCheck,
+        outputs:        written
+    };
+    fs.writeFileSync(outPath('report.json'), JSON.stringify(report, null, 2));
+    written.push(outPath('report.json'));
+
+    for (const file of written) log(`Wrote ${file}`);
+    return report;
+}
+
+// ---------------------------------------------------------------------------
+// Arguments
+// ---------------------------------------------------------------------------
+
+/**
+ * argv (without node + script) → options.  Throws with a readable message
+ * on anything invalid; validation that needs Config happens after loading.
+ */
+function parseArgs(argv) {
+    const opts = {
+        systemId:        null,
+        files:           [],
+        targetText:      null,
+        groupText:       null,
+        readmitText:     null,
+        rangeLines:      [],     // Config.parseRangeLayout() lines, once it's loaded
+        filters:         {},     // over Config.getFilterDefaults(), once it's loaded
+        outDir:          '.',
+        name:            null,
+        settings: {
+            maxBreadth:          '0xFFC',
+            maxDepth:            12,
+            maxStatesPerDepth:   100,
+            quorum:              0,
+            enabledRanges:       null,   // all of them, once the layout is known
+            rangeLayout:         null,
+            skipStickyPointers:  true,
+            earlyOutBasePointer: false,
+            earlyOutTarget:      false,
+            scanMode:            'forward',
+            reverseNegWindow:    '0x100',
+            reversePosWindow:    '0xFFC',
+            groupAnalysis:       false
+        },
+        pruneUnresolved: false,
+        logicCheck:      true,
+        estimate:        false,
+        sampleSize:      200,
+        verbose:         false,
+        help:            false
+    };
+
+    const hex = (flag, v) => {
+        if (!/^(0x)?[0-9a-f]+$/i.test(v || '')) throw new Error(`${flag} expects a hex value, got "${v}"`);
+        return v;
+    };
+    const int = (flag, v, min, max) => {
+        const n = Number(v);
+        if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${flag} expects a whole number ${min}-${max}`);
+        return n;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg  = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--system':           opts.systemId = next(); break;
+            case '--targets':          opts.targetText = next(); break;
+            case '--groups':           opts.groupText = next(); break;
+            case '--out':              opts.outDir = next(); break;
+            case '--name':             opts.name = next(); break;
+            case '--max-breadth':      opts.settings.maxBreadth = hex(arg, next()); break;
+            case '--max-depth':        opts.settings.maxDepth = int(arg, next(), 1, 20); break;
+            case '--states':           opts.settings.maxStatesPerDepth = int(arg, next(), 1, 10000); break;
+            case '--quorum':           opts.settings.quorum = int(arg, next(), 1, 10); break;
+            case '--anchor-refs':      opts.filters.anchorReferrers = int(arg, next(), 0, 100000); break;
+            case '--near-before':      opts.filters.proximityBefore = int(arg, next(), 0, 4096); break;
+            case '--near-after':       opts.filters.proximityAfter = int(arg, next(), 0, 4096); break;
+            case '--readmit':          opts.readmitText = next(); break;
+            case '--range':            opts.rangeLines.push(next()); break;
+            case '--exclude':          opts.rangeLines.push(`!${next()}`); break;
+            case '--ranges':
+                opts.settings.enabledRanges = next().split(',').map(r => int(arg, r.trim(), 1, 64) - 1);
+                break;
+            case '--no-skip-sticky':   opts.settings.skipStickyPointers = false; break;
+            case '--early-out-base':   opts.settings.earlyOutBasePointer = true; break;
+            case '--early-out-target': opts.settings.earlyOutTarget = true; break;
+            case '--reverse':          opts.settings.scanMode = 'reverse'; break;
+            case '--back':             opts.settings.reverseNegWindow = hex(arg, next()); break;
+            case '--fwd':              opts.settings.reversePosWindow = hex(arg, next()); break;
+            case '--prune-unresolved': opts.pruneUnresolved = true; break;
+            case '--no-logic-check':   opts.logicCheck = false; break;
+            case '--estimate':         opts.estimate = true; break;
+            case '--sample':           opts.sampleSize = int(arg, next(), 1, 100000); break;
+            case '--verbose':          opts.verbose = true; break;
+            case '--help': case '-h':  opts.help = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                opts.files.push(arg);
+        }
+    }
+
+    if (opts.help) return opts;
+    if (!opts.systemId)         throw new Error('--system is required');
+    if (opts.files.length < 2)  throw new Error('At least 2 files are needed');
+    if (opts.files.length > 10) throw new Error('At most 10 files can be scanned together');
+
+    for (const file of opts.files) {
+        if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+    }
+
+    // Targets line up with files; missing entries mean "no target"
+    const cells = opts.targetText ? opts.targetText.split(',').map(t => t.trim()) : [];
+    if (cells.length > opts.files.length) throw new Error('More --targets than files');
+    opts.targets = opts.files.map((_, b) => {
+        const t = cells[b];
+        if (!t || t === '-') return null;
+        if (!/^(0x)?[0-9a-f]+$/i.test(t)) throw new Error(`Bad target address "${t}"`);
+        const n = parseInt(t, 16);
+        return n > 0 ? n : null;
+    });
+
+    opts.filters.readmitted = (opts.readmitText ? opts.readmitText.split(',') : []).map(a => {
+        if (!/^(0x)?[0-9a-f]+$/i.test(a.trim())) throw new Error(`Bad --readmit address "${a}"`);
+        return parseInt(a.trim(), 16);
+    });
+
+    // Groups line up the same way
+    const groupCells = opts.groupText ? opts.groupText.split(',').map(g => g.trim()) : [];
+    if (groupCells.length > opts.files.length) throw new Error('More --groups than files');
+    opts.groups = opts.files.map((_, b) => (groupCells[b] && groupCells[b] !== '-' ? groupCells[b] : ''));
+    opts.settings.groupAnalysis = opts.groups.some(Boolean);
+
+    if (opts.settings.scanMode === 'reverse' && !opts.targets.some(t => t !== null)) {
+        throw new Error('--reverse needs a target address for at least one file');
+    }
+
+    opts.name = opts.name || opts.systemId;
+    return opts;
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Load the browser modules into this context as if they were <script> tags.
+ * Their console.log chatter goes to stderr with --verbose and is dropped
+ * otherwise; warnings and errors always show.
+ */
+function loadModules(verbose) {
+    console.log = verbose ? console.error.bind(console) : () => {};
+
+    for (const file of MODULES) {
+        const filename = path.join(JS_DIR, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+}
+
+async function parseFile(file, systemId) {
+    if (CoreUtils.isRawDumpFile(file)) {
+        const buf = fs.readFileSync(file);
+        return CoreUtils.parseRawDump(
+            buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength),
+            systemId,
+            CoreUtils.getDumpBaseAddress(systemId, path.basename(file))
+        );
+    }
+    return CoreUtils.parseCSV(fs.readFileSync(file, 'utf8'), systemId);
+}
+
+let lastProgress = -1;
+function reportProgress({ percent, status }) {
+    // Only whole-percent changes, so long scans don't flood the terminal
+    if (percent === null || percent === lastProgress) return;
+    lastProgress = percent;
+    process.stderr.write(`[${String(percent).padStart(3)}%] ${status}\n`);
+}
+
+function log(message) {
+    print(message);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { main, parseArgs };
@@ -32,6 +32,21 @@
  * The chain resumes at the first of those that IS in the pool.
  *
  * maxGhostNodes caps the total ghosts across the entire chain, not per gap.
+ *
+ * Rings
+ * -----
+ * A walk that comes back to a node it already visited has closed a ring.
+ * Rings are reported separately as cycles:
+ *
+ *   - A head walk that runs into a ring ("rho" shape) — typically a static
+ *     pointer to a sentinel — splits at the join node: the lead-in stays a
+ *     chain and the ring becomes a cycle entered at the join.
+ *   - A fully circular list has no head at all, since every node is pointed
+ *     to.  After the head walks, whatever is left unclaimed and pointed to can
+ *     only sit on a ring, so each of those is walked until it closes.
+ *
+ * Rings shorter than minChainLength are left alone (a head walk keeps them
+ * as part of its chain, as before).  Headless rings are not ghost-bridged.
  * =============================================================================
  */
 
@@ -55,11 +70,14 @@
  *                                        this set stops immediately and is
  *                                        returned as an entry point, not a chain.
  *
- * @returns {{ chains: object[], entryPoints: object[] }}
+ * @returns {{ chains: object[], entryPoints: object[], cycles: object[] }}
  *
  *   chains[]      { nodes: number[], ghosts: number[], isHead: true }
  *   entryPoints[] { nodes: number[], ghosts: number[] }
  *                 (only produced when targetPool is provided and hit)
+ *   cycles[]      { nodes: number[], ghosts: number[], joinedAt: number|null }
+ *                 nodes in ring order; joinedAt is the node a head walk ran
+ *                 into (nodes[0] then), null for a headless ring.
  */
 function walkChainsAtOffset(pool, offset, getVal, opts = {}) {
     const {
@@ -70,7 +88,9 @@ function walkChainsAtOffset(pool, offset, getVal, opts = {}) {
 
     const chains      = [];
     const entryPoints = [];
+    const cycles      = [];
     const processed   = new Set();
+    const ringNodes   = new Set();   // nodes of cycles already reported
 
     // -------------------------------------------------------------------------
     // Build the pointed-to set so we can identify true head nodes.
@@ -94,14 +114,19 @@ function walkChainsAtOffset(pool, offset, getVal, opts = {}) {
 
         const nodes       = [];
         const ghosts      = [];
+        const ghostAfter  = [];                       // ghosts[k] follows nodes[ghostAfter[k]]
         const visited     = new Set();
         let   current     = startAddr;
         let   hitTarget   = false;
+        let   joinedAt    = null;
         let   totalGhosts = 0;
 
         // Walk forward along the chain.
         chainLoop: while (true) {
-            if (visited.has(current)) break;          // circular reference
+            if (visited.has(current) || ringNodes.has(current)) {
+                joinedAt = current;                   // closed a ring, or ran into one
+                break;
+            }
 
             // Check if we walked into the target pool (dynamic mode only).
             if (targetPool !== null && targetPool.has(current)) {
@@ -154,6 +179,7 @@ function walkChainsAtOffset(pool, offset, getVal, opts = {}) {
             // Record the ghost addresses: expected, expected+offset, …, bridgeAddr
             for (let k = 0; k < newGhostCount; k++) {
                 ghosts.push(expected + k * offset);
+                ghostAfter.push(nodes.length - 1);
             }
             totalGhosts += newGhostCount;
             current = foundBridgeTarget;
@@ -162,6 +188,17 @@ function walkChainsAtOffset(pool, offset, getVal, opts = {}) {
         // Mark all walked addresses as processed so later heads don't re-walk them.
         for (const n of nodes) processed.add(n);
 
+        // Split off a ring this walk closed; the lead-in is judged on its own.
+        const joinIdx = visited.has(joinedAt) ? nodes.indexOf(joinedAt) : -1;
+        if (joinIdx >= 0 && nodes.length - joinIdx >= minChainLength) {
+            const ring = nodes.splice(joinIdx);
+            const ringGhosts = ghosts.filter((_, k) => ghostAfter[k] >= joinIdx);
+            ghosts.splice(0, ghosts.length, ...ghosts.filter((_, k) => ghostAfter[k] < joinIdx));
+
+            cycles.push({ nodes: ring, ghosts: ringGhosts, joinedAt });
+            for (const n of ring) ringNodes.add(n);
+        }
+
         if (hitTarget && nodes.length >= 1) {
             // Dynamic entry point: chain reached a known target before completing.
             entryPoints.push({ nodes: [...nodes], ghosts: [...ghosts] });
@@ -170,7 +207,38 @@ function walkChainsAtOffset(pool, offset, getVal, opts = {}) {
         }
     }
 
-    return { chains, entryPoints };
+    // -------------------------------------------------------------------------
+    // Headless rings: every unclaimed node left is pointed to by another.
+    // -------------------------------------------------------------------------
+    for (const startAddr of pool) {
+        if (processed.has(startAddr)) continue;
+
+        const ring    = [];
+        const visited = new Set();
+        let   current = startAddr;
+
+        while (pool.has(current) && !processed.has(current) && !visited.has(current)) {
+            if (targetPool !== null && targetPool.has(current)) break;
+            const val = getVal(current);
+            if (val === undefined) break;
+
+            ring.push(current);
+            visited.add(current);
+            current = val + offset;
+        }
+
+        for (const n of ring) processed.add(n);
+
+        // Normally the walk closes on its own start; if it started on a
+        // lead-in instead, the ring is the part after the join.
+        const joinIdx = visited.has(current) ? ring.indexOf(current) : -1;
+        if (joinIdx >= 0 && ring.length - joinIdx >= minChainLength) {
+            cycles.push({ nodes: ring.slice(joinIdx), ghosts: [], joinedAt: joinIdx > 0 ? current : null });
+            for (const n of ring) ringNodes.add(n);
+        }
+    }
+
+    return { chains, entryPoints, cycles };
 }
 
 /**
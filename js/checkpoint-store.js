@@ -0,0 +1,103 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Checkpoint Store
+ *
+ * Persists an in-progress forward scan to IndexedDB so a paused or
+ * interrupted scan can be resumed later from the same base pointer.
+ *
+ * A checkpoint has two records:
+ *   scan      written once when the base pointer scan starts — everything the
+ *             scan reads but never changes (batches, settings, targets).
+ *   progress  rewritten every checkpoint — remaining base pointers, output so
+ *             far, surviving structures / entry points, target paths, counts.
+ *
+ * Both records carry the run id of the scan that wrote them, and load() only
+ * pairs records from the same run.  Only one checkpoint is kept; starting a
+ * new scan replaces it and drops the old progress record.  Every method
+ * resolves quietly (null / no-op) where IndexedDB is unavailable, so the
+ * scanner never has to care.
+ * =============================================================================
+ */
+
+class CheckpointStore {
+
+    static DB_NAME    = 'bdram-scanner';
+    static DB_VERSION = 1;
+    static STORE      = 'checkpoints';
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Save the unchanging half of a checkpoint (start of the scan).  Any
+     * progress record left by an earlier run is dropped in the same
+     * transaction.
+     */
+    static async saveScan(scan) {
+        if (!this.isAvailable()) return;
+        const db    = await this._open();
+        const store = db.transaction(this.STORE, 'readwrite').objectStore(this.STORE);
+        store.delete('progress');
+        await this._request(store.put(scan, 'scan'));
+        db.close();
+    }
+
+    /** Save the progress half of a checkpoint. */
+    static async saveProgress(progress) {
+        await this._put('progress', progress);
+    }
+
+    /**
+     * Load the current checkpoint.
+     * @returns {Promise<{ scan, progress } | null>}  null if none, incomplete,
+     *                                                 or the halves are from different runs.
+     */
+    static async load() {
+        const [scan, progress] = await Promise.all([this._get('scan'), this._get('progress')]);
+        if (!scan || !progress || scan.runId !== progress.runId) return null;
+        return { scan, progress };
+    }
+
+    static async clear() {
+        if (!this.isAvailable()) return;
+        const db = await this._open();
+        await this._request(db.transaction(this.STORE, 'readwrite').objectStore(this.STORE).clear());
+        db.close();
+    }
+
+    // =========================================================================
+    // IndexedDB plumbing
+    // =========================================================================
+
+    static async _put(key, value) {
+        if (!this.isAvailable()) return;
+        const db = await this._open();
+        await this._request(db.transaction(this.STORE, 'readwrite').objectStore(this.STORE).put(value, key));
+        db.close();
+    }
+
+    static async _get(key) {
+        if (!this.isAvailable()) return null;
+        const db     = await this._open();
+        const result = await this._request(db.transaction(this.STORE, 'readonly').objectStore(this.STORE).get(key));
+        db.close();
+        return result ?? null;
+    }
+
+    static _open() {
+        const req = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        req.onupgradeneeded = () => req.result.createObjectStore(this.STORE);
+        return this._request(req);
+    }
+
+    static _request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror   = () => reject(CoreUtils.createError(
+                `Checkpoint storage failed: ${req.error?.message || 'unknown error'}`,
+                'CheckpointStore'
+            ));
+        });
+    }
+}
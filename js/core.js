@@ -102,6 +102,17 @@ class CoreUtils {
         const value   = this.parseHex(rawValue.toString().trim());
         if (isNaN(address) || isNaN(value)) return null;
 
+        return this.validatePointer(address, value, systemId);
+    }
+
+    /**
+     * Validate a single address/value pair against system memory rules.
+     * Returns { address: number, value: number } or null if invalid.
+     *
+     * Shared by CSV rows and raw dump words so both ingestion paths apply
+     * exactly the same alignment and memory range checks.
+     */
+    static validatePointer(address, value, systemId = 'n64') {
         // 4-byte alignment on the value (pointer target must be aligned)
         if ((value & Config.get('alignmentMask')) !== 0) return null;
 
@@ -129,38 +140,24 @@ class CoreUtils {
      *
      * Columns 3 and 4 are intentionally discarded.
      * Values are NOT masked here; masking is applied at preprocess time.
+     *
+     * Uses PapaParse when it's loaded (the page pulls it from a CDN) and the
+     * plain splitter in parseCsvRows() otherwise, e.g. under the Node CLI.
      */
     static async parseCSV(csvText, systemId = 'n64') {
+        if (typeof Papa === 'undefined') {
+            return this._validateCsvRows(this.parseCsvRows(csvText), systemId);
+        }
+
         return new Promise((resolve, reject) => {
             Papa.parse(csvText, {
                 header: true,
                 skipEmptyLines: true,
                 complete: (results) => {
                     try {
-                        const addresses = [];
-                        const values    = [];
-                        let skipped     = 0;
-
-                        for (const row of results.data) {
-                            const validated = this.validateCsvRow(row, systemId);
-                            if (validated) {
-                                addresses.push(validated.address);
-                                values.push(validated.value);
-                            } else {
-                                skipped++;
-                            }
-                        }
-
-                        console.log(
-                            `CSV parsed [${systemId}]: ${addresses.length} valid, ${skipped} skipped`
-                        );
-                        resolve({ addresses, values });
-
+                        resolve(this._validateCsvRows(results.data, systemId));
                     } catch (error) {
-                        reject(CoreUtils.createError(
-                            `CSV validation failed: ${error.message}`,
-                            'CoreUtils.parseCSV'
-                        ));
+                        reject(error);
                     }
                 },
                 error: (error) => {
@@ -173,6 +170,118 @@ class CoreUtils {
         });
     }
 
+    /**
+     * Minimal header-row CSV reader: one object per non-empty line, keyed by
+     * the header cells.  Enough for RAIntegration exports and trimmed CSVs,
+     * which never quote or embed commas.
+     */
+    static parseCsvRows(csvText) {
+        const lines  = csvText.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) return [];
+
+        const header = lines[0].split(',').map((h, i) => h.trim() || `_${i}`);
+        const rows   = [];
+        for (let l = 1; l < lines.length; l++) {
+            const cells = lines[l].split(',');
+            const row   = {};
+            header.forEach((h, i) => { row[h] = cells[i] ?? ''; });
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    static _validateCsvRows(rows, systemId) {
+        try {
+            const addresses = [];
+            const values    = [];
+            let skipped     = 0;
+
+            for (const row of rows) {
+                const validated = this.validateCsvRow(row, systemId);
+                if (validated) {
+                    addresses.push(validated.address);
+                    values.push(validated.value);
+                } else {
+                    skipped++;
+                }
+            }
+
+            console.log(
+                `CSV parsed [${systemId}]: ${addresses.length} valid, ${skipped} skipped`
+            );
+            return { addresses, values };
+
+        } catch (error) {
+            throw CoreUtils.createError(
+                `CSV validation failed: ${error.message}`,
+                'CoreUtils.parseCSV'
+            );
+        }
+    }
+
+    /**
+     * True if the filename looks like a raw memory dump rather than a CSV export.
+     */
+    static isRawDumpFile(filename) {
+        const lower = filename.toLowerCase();
+        return Config.get('dumpFormats').some(ext => lower.endsWith(ext));
+    }
+
+    /**
+     * Base address that word 0 of a raw dump maps to.
+     *
+     * Single-range systems use memoryRange.min.  Wii dumps are per region, so a
+     * filename mentioning "mem2" maps to MEM2 and anything else to MEM1.
+     */
+    static getDumpBaseAddress(systemId, filename = '') {
+        const cfg = Config.getSystemConfig(systemId);
+        if (!cfg) return 0;
+        if (Array.isArray(cfg.memoryRange)) {
+            return /mem2/i.test(filename) ? cfg.memoryRange[1].min : cfg.memoryRange[0].min;
+        }
+        return cfg.memoryRange.min;
+    }
+
+    /**
+     * Parse a raw memory dump (.bin / .raw) into validated pointer pairs.
+     * Returns { addresses: number[], values: number[] } — same shape as parseCSV().
+     *
+     * The buffer is read as aligned 32-bit words in the system's byte order.
+     * Word i lives at baseAddress + i*4.  Every word goes through
+     * validatePointer(), so only pointer-looking values survive — the result
+     * is equivalent to an unfiltered RAIntegration pointer search export.
+     * Trailing bytes that don't fill a whole word are ignored.
+     */
+    static parseRawDump(buffer, systemId = 'n64', baseAddress = null) {
+        const view      = new DataView(buffer);
+        const littleEnd = !Config.isBigEndian(systemId);
+        const base      = baseAddress ?? this.getDumpBaseAddress(systemId);
+        const wordCount = Math.floor(buffer.byteLength / 4);
+
+        const addresses = [];
+        const values    = [];
+        let skipped     = 0;
+
+        for (let i = 0; i < wordCount; i++) {
+            const value = view.getUint32(i * 4, littleEnd);
+            if (value === 0) { skipped++; continue; }
+
+            const validated = this.validatePointer(base + i * 4, value, systemId);
+            if (validated) {
+                addresses.push(validated.address);
+                values.push(validated.value);
+            } else {
+                skipped++;
+            }
+        }
+
+        console.log(
+            `Raw dump parsed [${systemId}] @ ${CoreUtils.formatHex(base)}: ` +
+            `${wordCount} words, ${addresses.length} valid, ${skipped} skipped`
+        );
+        return { addresses, values };
+    }
+
     /**
      * Build a trimmed CSV string from validated integer address/value arrays.
      *
@@ -203,12 +312,32 @@ class CoreUtils {
         return error;
     }
 
+    /**
+     * Allocate an Int32Array that can be handed to Web Workers without a copy.
+     * Backed by a SharedArrayBuffer when the page is cross-origin isolated,
+     * otherwise by a plain ArrayBuffer (workers then receive a clone).
+     */
+    static allocInt32Array(length) {
+        const shared = typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+        return shared
+            ? new Int32Array(new SharedArrayBuffer(length * 4))
+            : new Int32Array(length);
+    }
+
     /**
      * Absolute memory distance between two addresses.
      */
     static memoryDistance(addr1, addr2) {
         return Math.abs(addr1 - addr2);
     }
+
+    /**
+     * How many of batchCount batches an address must be present in to count
+     * as static: the quorum setting, capped at batchCount; 0 means all.
+     */
+    static quorumSize(quorum, batchCount) {
+        return quorum > 0 ? Math.min(quorum, batchCount) : batchCount;
+    }
 }
 
 
@@ -274,6 +403,14 @@ const globalEventBus = new EventBus();
  *   'wii'     — special dual-region split:
  *               Range 1 = MEM1 low half, Range 2 = MEM1 high half,
  *               Range 3 = MEM2 low half, Range 4 = MEM2 high half.
+ *
+ * A range layout replaces that split: { ranges, exclusions }, each a list
+ * of { label, min, max }.  Non-empty `ranges` are scanned instead of the
+ * rangeMode split; `exclusions` are zones (an audio heap, a frame buffer)
+ * no base pointer is taken from, whichever range they fall in.  A system
+ * can carry its own layout as `ranges` / `exclusions` entries; a project's
+ * layout starts from that and is passed to getRanges() and friends — null
+ * means the system's.
  */
 class Config {
 
@@ -340,6 +477,7 @@ class Config {
             memoryRange: { min: 0x80000000, max: 0x817FFFFF },
             use24Bit: false,
             rangeMode: 'quarter',
+            bigEndian: true,
             size: '32-bit BE'
         },
         wii: {
@@ -352,6 +490,7 @@ class Config {
             use24Bit: false,
             dualRange: true,
             rangeMode: 'wii',
+            bigEndian: true,
             size: '32-bit BE'
         },
         dreamcast: {
@@ -377,7 +516,8 @@ class Config {
         // UI / file handling
         maxFiles:                   10,
         maxFileSize:                2 * 1024 * 1024 * 1024,
-        supportedFormats:           ['.csv'],
+        supportedFormats:           ['.csv', '.bin', '.raw'],
+        dumpFormats:                ['.bin', '.raw'],
 
         // CSV column indices (0-based)
         addressColumn:              0,
@@ -388,7 +528,21 @@ class Config {
 
         // Recommendation thresholds
         recommendedMaxBasePointers: 30000,
-        warnBasePointerThreshold:   50000
+        warnBasePointerThreshold:   50000,
+        nearDuplicateContrast:      0.02,   // state pairs below this contrast are near-duplicates
+
+        // Density-based range suggestions (Preprocessor.getCounts().density)
+        densityBuckets:             128,    // histogram buckets across the system's memory
+        densityFactor:              0.5,    // a bucket this share of the occupied mean or more is dense
+        maxSuggestedRanges:         4,
+
+        // Scan time estimate (scan-estimator.js)
+        estimateSampleSize:         200,    // base pointers the dry run scans
+
+        // Preprocessor ingest filters (a system's `filters` entry overrides these)
+        anchorReferrers:            10,     // a value more addresses than this point at is an anchor (0 = off)
+        proximityBefore:            4,      // a value up to this many bytes before its own address is an artefact
+        proximityAfter:             44      // ... or up to this many bytes after it
     };
 
     static get(key)        { return this.defaults[key]; }
@@ -398,25 +552,98 @@ class Config {
     static getSystemConfig(systemId) { return this.systems[systemId] || null; }
     static getSystemMask(systemId)   { return (this.systems[systemId] || {}).mask ?? null; }
     static isValidSystem(systemId)   { return systemId in this.systems; }
+    static isBigEndian(systemId)     { return !!(this.systems[systemId] || {}).bigEndian; }
+
+    /** Preprocessor ingest filter defaults for a system (any system for null). */
+    static getFilterDefaults(systemId) {
+        return {
+            anchorReferrers: this.defaults.anchorReferrers,
+            proximityBefore: this.defaults.proximityBefore,
+            proximityAfter:  this.defaults.proximityAfter,
+            ...(this.systems[systemId] || {}).filters
+        };
+    }
+
+    /** A copy of a system's own range layout (empty when it has none). */
+    static getRangeLayout(systemId) {
+        const cfg = this.systems[systemId] || {};
+        return {
+            ranges:     (cfg.ranges     || []).map(r => ({ ...r })),
+            exclusions: (cfg.exclusions || []).map(r => ({ ...r }))
+        };
+    }
+
+    /**
+     * Parse a range layout from text, one zone per line:
+     *
+     *   Heap = 0x80200000-0x802FFFFF       named scan range
+     *   0x80400000-0x804FFFFF              unnamed (Range N)
+     *   !Audio heap = 0x80300000-0x8037FFFF   exclusion zone
+     *
+     * Blank lines and lines starting with # are skipped.  Labels lose the
+     * characters HTML reserves (< > " &), as they end up in the page.
+     *
+     * @throws on a line that isn't a zone or has min > max.
+     */
+    static parseRangeLayout(text) {
+        const layout = { ranges: [], exclusions: [] };
+        const lines  = String(text || '').split(/\r?\n/);
+
+        lines.forEach((raw, i) => {
+            const line = raw.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const m = line.match(/^(!)?\s*(?:(.*?)\s*=\s*)?(\S+)\s*-\s*(\S+)$/);
+            const [min, max] = m ? [m[3], m[4]].map(v => CoreUtils.isValidHex(v) ? CoreUtils.parseHex(v) : NaN) : [];
+            if (!m || isNaN(min) || isNaN(max) || min > max) {
+                throw CoreUtils.createError(
+                    `Line ${i + 1} is not a range: "${line}"`, 'Config.parseRangeLayout'
+                );
+            }
+
+            const list = m[1] ? layout.exclusions : layout.ranges;
+            list.push({ label: (m[2] || '').replace(/[<>"&]/g, ''), min, max });
+        });
+
+        return layout;
+    }
+
+    /** A range layout as parseRangeLayout() reads it. */
+    static formatRangeLayout(layout) {
+        const line = (r, prefix) =>
+            `${prefix}${r.label ? `${r.label} = ` : ''}` +
+            `${CoreUtils.formatHex(r.min >>> 0)}-${CoreUtils.formatHex(r.max >>> 0)}`;
+        return [
+            ...(layout?.ranges     || []).map(r => line(r, '')),
+            ...(layout?.exclusions || []).map(r => line(r, '!'))
+        ].join('\n');
+    }
 
     static getAllSystems() {
         return Object.keys(this.systems).map(key => ({ id: key, ...this.systems[key] }));
     }
 
     /**
-     * Compute scan ranges for a system based on its rangeMode.
+     * Compute scan ranges for a system based on its rangeMode, or the
+     * layout's own ranges when it has any.
      *
      * Returns an array of: { label: string, min: number, max: number }
      *
      * Boundaries are 4-byte aligned. Ranges are contiguous and cover the full
-     * memory space for the system with no gaps or overlaps.
+     * memory space for the system with no gaps or overlaps.  User-defined
+     * ranges are taken as given.
      */
-    static getRanges(systemId) {
+    static getRanges(systemId, layout = null) {
         const cfg = this.getSystemConfig(systemId);
         if (!cfg) return [];
 
-        // Align an address down to the nearest 4-byte boundary
-        const floorAlign = addr => addr & ~3;
+        const custom = (layout || cfg).ranges;
+        if (custom?.length) {
+            return custom.map((r, i) => ({ label: r.label || `Range ${i + 1}`, min: r.min, max: r.max }));
+        }
+
+        // Align an address down to the nearest 4-byte boundary (kept unsigned)
+        const floorAlign = addr => (addr & ~3) >>> 0;
 
         switch (cfg.rangeMode) {
 
@@ -472,12 +699,25 @@ class Config {
         }
     }
 
+    /** Exclusion zones of a layout (the system's for null), labelled. */
+    static getExclusions(systemId, layout = null) {
+        const zones = (layout || this.systems[systemId] || {}).exclusions || [];
+        return zones.map((r, i) => ({ label: r.label || `Excluded ${i + 1}`, min: r.min, max: r.max }));
+    }
+
+    /** Whether an (unsigned) address lies in one of the layout's exclusion zones. */
+    static isExcluded(systemId, address, layout = null) {
+        return this.getExclusions(systemId, layout).some(r => address >= r.min && address <= r.max);
+    }
+
     /**
      * Return which range index (0-based) a given address falls into.
-     * Returns -1 if the address is outside all defined ranges for the system.
+     * Returns -1 if the address is outside all defined ranges for the system,
+     * or inside an exclusion zone.
      */
-    static getAddressRangeIndex(systemId, address) {
-        const ranges = this.getRanges(systemId);
+    static getAddressRangeIndex(systemId, address, layout = null) {
+        if (this.isExcluded(systemId, address, layout)) return -1;
+        const ranges = this.getRanges(systemId, layout);
         for (let i = 0; i < ranges.length; i++) {
             if (address >= ranges[i].min && address <= ranges[i].max) return i;
         }
@@ -16,24 +16,40 @@
  *      Precompute offset presence bitmaps for every non-base-pointer node.
  *      Returns a bitmap context object consumed by scanBasePointerDepth().
  *
- *   4. scanAllBasePointers(sc, batchIndexes)
+ *   4. scanAllBasePointers(sc, batchIndexes, bitmapCtx)
  *      Top-level async driver: iterates enabled ranges, streams achievements
- *      every 1 000 base pointers, handles early-out signals.
+ *      and checkpoints every 1 000 base pointers, handles early-out and
+ *      cancel / pause.  Runs on the calling thread; scan-pool.js spreads the
+ *      same work over Web Workers and merges through registerBaseScanResult().
  *
  *   5. scanSingleBasePointer(sc, base, batchIndexes, lookups, bitmapCtx)
  *      Splits the offset space into 0x80-byte chunks and dispatches each to
  *      scanBasePointerDepth().
  *
  *   6. scanBasePointerDepth(sc, base, batchIndexes, chunk, lookups, bitmapCtx)
- *      Inner DFS loop: bitmap AND across batches → choose smallest valid
- *      offset → follow → repeat to maxDepth.
+ *      Inner beam search: bitmap AND across batches → follow every valid
+ *      offset → merge converged states → keep at most maxStatesPerDepth →
+ *      repeat to maxDepth.
  *
  * Bitmap context shape (returned by buildTraversalBitmaps):
  * {
  *   store       : Map<addr, Int32Array>  layout: [b0s0, b0s1, …, b1s0, …]
  *   slots       : number                 Int32 slots per node per batch
  *   bytes       : number                 byte-offset coverage = slots * 128
+ *   addresses   : Int32Array             node address for each store entry
+ *   data        : Int32Array             flat backing buffer; store values
+ *                                        are views into it, in address order
  * }
+ * addresses + data are what scan workers receive (see scan-pool.js);
+ * unpackTraversalBitmaps() rebuilds the store from them without copying.
+ *
+ * Quorum
+ * ------
+ * With sc.quorum below the batch count, a base pointer only has to exist
+ * in a quorum of batches (its value is 0 in the others), an offset is
+ * followed if it is valid in a quorum of batches rather than all of them,
+ * and a structure hit needs a quorum of batches to land in it.  Hits carry
+ * `agreement`, the number of batches that did.
  *
  * All functions receive explicit parameters — no implicit `this` coupling
  * to the scanner except through the `sc` argument where state must be read
@@ -64,16 +80,17 @@ function buildBasePointerSet(sc, batchIndexes) {
         // Skip if already targeted in any batch.
         if (sc.targetNodes.some(pool => pool.has(addr))) continue;
 
+        // Absent from a batch → 0 there; enough batches must have it.
         const values = [];
-        let   valid  = true;
+        let   present = 0;
 
         for (let b = 0; b < sc.batches.length; b++) {
             const idx = batchIndexes[b].get(addr);
-            if (idx === undefined) { valid = false; break; }
-            values.push(sc.batches[b].values[idx]);
+            if (idx !== undefined) present++;
+            values.push(idx === undefined ? 0 : sc.batches[b].values[idx]);
         }
 
-        if (valid) {
+        if (present >= sc.quorumSize()) {
             sc.basePointers.set(addr, values);
             added++;
         }
@@ -137,7 +154,8 @@ function buildTraversalBitmaps(sc, batchIndexes) {
     // Excluded from precomputed bitmaps:
     //   - staticStaticNodes: same value in every batch, extremely numerous,
     //     calculated on the fly when encountered mid-chain.
-    //   - injectedTargets: sentinel dummy nodes, not real traversal addresses.
+    //   - injectedTargets: union of the per-batch user targets; not real
+    //     traversal addresses.
     // Base pointers are NOT excluded — they can appear as intermediate nodes
     // in chains rooted at a different base pointer.
     const ssSet       = new Set(sc.staticStaticNodes.keys());
@@ -155,7 +173,7 @@ function buildTraversalBitmaps(sc, batchIndexes) {
 
     if (N === 0) {
         console.log('Bitmap precompute: no traversal nodes — skipping');
-        return { store: null, slots: 0, bytes: 0 };
+        return { store: null, slots: 0, bytes: 0, addresses: null, data: null };
     }
 
     const slotsPerNode = Math.max(1, Math.floor(BUDGET_INT / (N * B)));
@@ -170,10 +188,16 @@ function buildTraversalBitmaps(sc, batchIndexes) {
         `(${ssSet.size} StaticStatics + ${targetSet.size} injected targets excluded, on-the-fly)` 
     );
 
-    const store = new Map();
+    // One flat buffer (shareable with scan workers); per-node views into it.
+    const stride    = B * usedSlots;
+    const addresses = CoreUtils.allocInt32Array(N);
+    const data      = CoreUtils.allocInt32Array(N * stride);
+    const store     = new Map();
+    let   node      = 0;
 
     for (const addr of traversalAddrs) {
-        const bm = new Int32Array(B * usedSlots);
+        const bm = data.subarray(node * stride, (node + 1) * stride);
+        addresses[node++] = addr;
 
         for (let b = 0; b < B; b++) {
             const dataIdx = batchIndexes[b].get(addr);
@@ -196,7 +220,27 @@ function buildTraversalBitmaps(sc, batchIndexes) {
         store.set(addr, bm);
     }
 
-    return { store, slots: usedSlots, bytes: precompBytes };
+    return { store, slots: usedSlots, bytes: precompBytes, addresses, data };
+}
+
+/**
+ * Rebuild a bitmap context from its flat arrays (inside a scan worker).
+ * Store entries are views into `data`, so nothing is copied.
+ *
+ * @param   {{ slots, bytes, addresses, data }} packed
+ * @param   {number} batchCount
+ * @returns {{ store, slots, bytes, addresses, data }}
+ */
+function unpackTraversalBitmaps(packed, batchCount) {
+    const { slots, bytes, addresses, data } = packed;
+    if (!addresses) return { store: null, slots: 0, bytes: 0, addresses: null, data: null };
+
+    const stride = batchCount * slots;
+    const store  = new Map();
+    for (let i = 0; i < addresses.length; i++) {
+        store.set(addresses[i], data.subarray(i * stride, (i + 1) * stride));
+    }
+    return { store, slots, bytes, addresses, data };
 }
 
 // ---------------------------------------------------------------------------
@@ -204,8 +248,8 @@ function buildTraversalBitmaps(sc, batchIndexes) {
 // ---------------------------------------------------------------------------
 
 /**
- * Scan all base pointers across enabled ranges, streaming achievements
- * every 1 000 base pointers.
+ * Scan all base pointers across enabled ranges, streaming achievements and
+ * saving a checkpoint every 1 000 base pointers (via sc.scanTick).
  *
  * Reads sc.enabledRanges (Set<number>) to filter which base pointers to visit.
  * Early-out signals bubble up from scanSingleBasePointer.
@@ -215,16 +259,9 @@ function buildTraversalBitmaps(sc, batchIndexes) {
  * @param {{ store, slots, bytes }} bitmapCtx
  */
 async function scanAllBasePointers(sc, batchIndexes, bitmapCtx) {
-    const total = sc.basePointers.size;
-
-    // Build O(1) lookup caches for detection-phase structures and entry points.
-    // Scan-phase entry points are NOT pre-cached; they are never target nodes.
-    const structAddrMap = _buildStructAddrMap(sc);
-    const epAddrMap     = _buildEpAddrMap(sc);
-
-    const lookups = { structAddrMap, epAddrMap };
-
-    let processed = 0;
+    const lookups   = buildScanLookups(sc);
+    const remaining = () => sc.basePointers;
+    const progress  = sc.scanProgress;
 
     for (const [address, values] of sc.basePointers) {
 
@@ -239,55 +276,82 @@ async function scanAllBasePointers(sc, batchIndexes, bitmapCtx) {
 
         sc.basePointers.delete(address);  // free as we go
 
-        // Register new entry points (scan-phase).
-        for (const hitStruct of result.structures) {
-            sc.entryPoints.push({
-                root:        base.values[0],
-                nodeCount:   hitStruct.nodeCount,
-                addresses:   hitStruct.addresses,
-                buildOffset: hitStruct.buildOffset,
-                path:        hitStruct.path || [],
-                targetStruct: hitStruct,
-                type:        'entry_point',
-                sourceType:  hitStruct.type,
-                claimed:     false
-            });
-        }
-        for (const hitEP of result.entryPoints) {
-            sc.entryPoints.push({
-                root:        base.values[0],
-                nodeCount:   hitEP.nodeCount,
-                addresses:   hitEP.addresses,
-                buildOffset: hitEP.buildOffset,
-                path:        [...(hitEP.path || []), ...(hitEP.buildOffset ? [hitEP.buildOffset] : [])],
-                targetStruct: hitEP.targetStruct,
-                type:        'entry_point',
-                claimed:     false
-            });
-        }
+        registerBaseScanResult(sc, base, result);
 
-        processed++;
+        // Streams + checkpoints every 1 000, honours cancel / pause.
+        await sc.scanTick(remaining);
 
         // UI progress update every 100.
-        if (processed % 100 === 0) {
-            const pct = Math.floor((processed / total) * 25);
+        if (progress.done % 100 === 0) {
+            const pct = Math.floor((progress.done / progress.total) * 25);
             globalEventBus.emit('progress:update', {
                 percent: 60 + pct,
-                status:  `Scanning base pointers: ${processed}/${total}`
+                status:  `Scanning base pointers: ${progress.done}/${progress.total}`
             });
             await new Promise(r => setTimeout(r, 0));  // yield to event loop
         }
 
-        // Stream achievements every 1 000 to control memory.
-        if (processed % 1000 === 0) {
-            sc.streamAchievements();
-            sc.logMemoryStats(`BP ${processed}`);
-        }
-
         if (result.stopAllProcessing) break;
     }
 
-    console.log(`Forward scan complete: ${processed} base pointers scanned`);
+    console.log(`Forward scan complete: ${progress.done} base pointers scanned`);
+}
+
+/**
+ * O(1) lookup caches for detection-phase structures and entry points.
+ * Scan-phase entry points are NOT pre-cached; they are never target nodes.
+ *
+ * @param   {BDRAMScanner} sc
+ * @returns {{ structAddrMap: Map, epAddrMap: Map }}
+ */
+function buildScanLookups(sc) {
+    return { structAddrMap: _buildStructAddrMap(sc), epAddrMap: _buildEpAddrMap(sc) };
+}
+
+/**
+ * Merge one base pointer's scan result into the scanner: record target
+ * paths and register hits as scan-phase entry points.  Shared by the
+ * main-thread driver and the worker pool coordinator.
+ *
+ * @param {BDRAMScanner}        sc
+ * @param {{ address, values }} base
+ * @param {{ structures, entryPoints, targetPaths }} result
+ */
+function registerBaseScanResult(sc, base, result) {
+    sc.targetPaths.push(...result.targetPaths);
+
+    // Register new entry points (scan-phase).  The scan starts from the
+    // value stored in the base pointer, so rooted at the base pointer's own
+    // address the chain needs one more hop: the leading 0 reads that value.
+    for (const hitStruct of result.structures) {
+        sc.entryPoints.push({
+            root:        base.address,
+            nodeCount:   hitStruct.nodeCount,
+            addresses:   hitStruct.addresses,
+            batchAddresses: hitStruct.batchAddresses,
+            buildOffset: hitStruct.buildOffset,
+            path:        [0, ...(hitStruct.path || [])],
+            targetStruct: hitStruct,
+            type:        'entry_point',
+            sourceType:  hitStruct.type,
+            agreement:   hitStruct.agreement,
+            claimed:     false
+        });
+    }
+    for (const hitEP of result.entryPoints) {
+        sc.entryPoints.push({
+            root:        base.address,
+            nodeCount:   hitEP.nodeCount,
+            addresses:   hitEP.addresses,
+            batchAddresses: hitEP.batchAddresses,
+            buildOffset: hitEP.buildOffset,
+            path:        [0, ...(hitEP.path || []), ...(hitEP.buildOffset ? [hitEP.buildOffset] : [])],
+            targetStruct: hitEP.targetStruct,
+            type:        'entry_point',
+            agreement:   hitEP.agreement,
+            claimed:     false
+        });
+    }
 }
 
 // ---------------------------------------------------------------------------
@@ -296,7 +360,7 @@ async function scanAllBasePointers(sc, batchIndexes, bitmapCtx) {
 
 /**
  * Scan one base pointer by splitting the offset space into 0x80-byte chunks
- * and dispatching each to the DFS inner loop.
+ * and dispatching each to the beam search inner loop.
  *
  * @param   {BDRAMScanner}        sc
  * @param   {{ address, values }} base
@@ -321,10 +385,8 @@ async function scanSingleBasePointer(sc, base, batchIndexes, lookups, bitmapCtx)
         all.targetPaths.push(...result.targetPaths);
 
         if (end >= maxBreadth) break;
-    }
-
-    if (all.structures.length === 0 && all.entryPoints.length === 0) {
-        return { structures: [], entryPoints: [], targetPaths: [], stopAllProcessing: false };
+        if (sc.earlyOutBasePointer &&
+            (all.structures.length || all.entryPoints.length || all.targetPaths.length)) break;
     }
 
     // Early-out: if target paths were found and the flag is set, signal stop.
@@ -339,14 +401,19 @@ async function scanSingleBasePointer(sc, base, batchIndexes, lookups, bitmapCtx)
 }
 
 // ---------------------------------------------------------------------------
-// 6. DFS inner loop — one chunk
+// 6. Beam search inner loop — one chunk
 // ---------------------------------------------------------------------------
 
 /**
- * Depth-first scan of one base pointer for one 0x80-byte offset chunk.
+ * Breadth-first beam search of one base pointer for one 0x80-byte offset chunk.
+ *
+ * Every offset that survives the bitmap AND is followed, not just the
+ * smallest, so objects with several pointer members are fully explored.
+ * States that converge on the same per-batch addresses are merged, and at
+ * most sc.maxStatesPerDepth states are carried into the next depth.
  *
- * Bitmap fast path: if the current node has a precomputed bitmap AND the
- * chunk falls within precomputed coverage, AND the batch bitmaps together
+ * Bitmap fast path: if every batch's current node has a precomputed bitmap
+ * AND the chunk falls within precomputed coverage, AND the batch bitmaps together
  * directly — no per-offset Map lookups.
  *
  * On-the-fly fallback: any node not in the bitmap store (base pointers,
@@ -363,201 +430,249 @@ async function scanSingleBasePointer(sc, base, batchIndexes, lookups, bitmapCtx)
 async function scanBasePointerDepth(sc, base, batchIndexes, chunk, lookups, bitmapCtx) {
     const { start: chunkStart, end: chunkEnd } = chunk;
     const { structAddrMap, epAddrMap }         = lookups;
-    const { store, slots: precompSlots, bytes: precompBytes } = bitmapCtx;
 
     const maxDepth   = sc.maxDepth;
+    const maxStates  = sc.maxStatesPerDepth;
     const batchCount = sc.batches.length;
+    const quorum     = sc.quorumSize();
 
     const hitStructures  = [];
     const hitEntryPoints = [];
     const targetPaths    = [];
 
     // Initial state: each batch starts at the value stored in the base pointer.
-    let state = {
+    const initial = {
         addresses: base.values.map((val, idx) => ({ addr: val, batchIdx: idx })),
-        depth:     1,
         path:      []
     };
 
-    while (state.depth <= maxDepth) {
+    let level  = [initial];
+    const seen = new Set([base.values.join(',')]);
+
+    for (let depth = 1; depth <= maxDepth && level.length > 0; depth++) {
 
         // Yield to event loop every 3 depths to avoid blocking.
-        if (state.depth % 3 === 0) {
+        if (depth % 3 === 0) {
             await new Promise(r => setTimeout(r, 0));
         }
 
-        const firstAddr = state.addresses[0].addr;
-
-        // --- Injected target check -------------------------------------------
-        if (sc.injectedTargets.has(firstAddr)) {
-            if (state.addresses.every(({ addr }) => sc.injectedTargets.has(addr))) {
-                const pathStr = state.path
-                    .map((o, i) => `${'+'.repeat(i + 1)}0x${o.toString(16).toUpperCase()}`)
-                    .join(' ');
-                targetPaths.push({
-                    basePointer:   `0x${base.address.toString(16).toUpperCase()}`,
-                    path:          pathStr,
-                    targetAddress: `0x${firstAddr.toString(16).toUpperCase()}`
-                });
-                break;
+        const nextLevel = [];
+
+        for (const state of level) {
+
+            // --- Per-batch target check --------------------------------------
+            // Batch b must land exactly on batch b's own target; batches
+            // without a target are "don't care".
+            const landed = state.addresses.map(({ addr }) => addr);
+            if (sc.matchesBatchTargets(landed)) {
+                targetPaths.push(sc.formatTargetPath(base.address, state.path));
+                continue;
             }
-        }
 
-        // --- Structure / entry-point hit check -------------------------------
-        const hits = state.addresses.map(({ addr }) =>
-            structAddrMap.get(addr) || epAddrMap.get(addr) || null
-        );
-        const validHits = hits.filter(Boolean);
-
-        if (validHits.length === batchCount) {
-            const first   = validHits[0];
-            const allSame = validHits.every(h => h.type === first.type && h.id === first.id);
-            if (allSame) {
-                if (first.type === 'structure') {
-                    hitStructures.push({ ...first.struct, depth: state.depth, path: state.path, movingEntryPoint: true });
-                } else {
-                    hitEntryPoints.push({ ...first.ep, depth: state.depth, path: state.path, movingEntryPoint: true });
+            // --- Structure / entry-point hit check ---------------------------
+            const hits = state.addresses.map(({ addr }) =>
+                structAddrMap.get(addr) || epAddrMap.get(addr) || null
+            );
+            const validHits = hits.filter(Boolean);
+
+            if (validHits.length >= quorum) {
+                const first   = validHits[0];
+                // A consolidated list only counts where each batch lands on
+                // that batch's own nodes.
+                const allSame = validHits.every(h => h.type === first.type && h.id === first.id) &&
+                                (!first.batchNodes || hits.every((h, b) => !h || first.batchNodes[b].has(landed[b])));
+                if (allSame) {
+                    const hit = { depth, path: state.path, batchAddresses: landed, movingEntryPoint: true, agreement: validHits.length };
+                    if (first.type === 'structure') {
+                        hitStructures.push({ ...first.struct, ...hit });
+                    } else {
+                        hitEntryPoints.push({ ...first.ep, ...hit });
+                    }
+                    continue;
                 }
-                break;
             }
-        }
-
-        // --- Build combined bitmap for this chunk ----------------------------
-        let combinedBitmap;
 
-        const precomp  = store && store.get(firstAddr);
-        const slotIdx  = Math.floor(chunkStart / 128);
-        const usePrecomp = precomp && chunkStart < precompBytes && slotIdx < precompSlots;
+            const combinedBitmap = _combinedChunkBitmap(sc, state, chunkStart, batchIndexes, bitmapCtx);
+            if (combinedBitmap === 0) continue;  // no shared valid offset in this chunk
+
+            // --- Follow every shared offset in this chunk --------------------
+            for (let bit = 0; bit < 32; bit++) {
+                if ((combinedBitmap & (1 << bit)) === 0) continue;
+                const offset = chunkStart + bit * 4;
+                if (offset > chunkEnd) break;
+
+                const nextAddrs = [];
+                for (let b = 0; b < batchCount; b++) {
+                    const { addr }  = state.addresses[b];
+                    const dataIdx   = batchIndexes[b].get(addr);
+                    if (dataIdx === undefined) {
+                        nextAddrs.push({ addr: 0, batchIdx: b });
+                        continue;
+                    }
+                    const value    = sc.batches[b].values[dataIdx];
+                    nextAddrs.push({ addr: value + offset, batchIdx: b });
+                }
+                const nextLanded = nextAddrs.map(({ addr }) => addr);
+                const nextPath   = [...state.path, offset];
+
+                // Check the landing before voting: target nodes also count
+                // toward the entry-point majority, which would otherwise stop
+                // one step short.
+                if (sc.matchesBatchTargets(nextLanded)) {
+                    targetPaths.push(sc.formatTargetPath(base.address, nextPath));
+                    continue;
+                }
 
-        if (usePrecomp) {
-            // Fast path: AND the pre-built slots together.
-            combinedBitmap = 0xFFFFFFFF;
-            for (let b = 0; b < batchCount; b++) {
-                combinedBitmap &= precomp[b * precompSlots + slotIdx];
-            }
-        } else {
-            // On-the-fly path: check each offset in the chunk per batch.
-            const batchBitmaps = [];
-            for (let b = 0; b < batchCount; b++) {
-                const { addr } = state.addresses[b];
-                const dataIdx  = batchIndexes[b].get(addr);
-
-                if (dataIdx === undefined) {
-                    batchBitmaps.push(0);
+                const ep = _voteEntryPoint(sc, nextLanded, offset);
+                if (ep) {
+                    hitEntryPoints.push({
+                        root:        base.address,
+                        nodeCount:   depth,
+                        addresses:   [landed[0]],
+                        batchAddresses: landed,
+                        buildOffset: ep.buildOffset,
+                        path:        nextPath,
+                        agreement:   ep.agreement,
+                        claimed:     false
+                    });
                     continue;
                 }
 
-                const value = sc.batches[b].values[dataIdx];
-                let   word  = 0;
-                for (let bit = 0; bit < 32; bit++) {
-                    const targetAddr = value + chunkStart + bit * 4;
-                    if (batchIndexes[b].has(targetAddr)) word |= (1 << bit);
+                // Converged states are explored once.
+                const key = nextLanded.join(',');
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                if (nextLevel.length < maxStates) {
+                    nextLevel.push({ addresses: nextAddrs, path: nextPath });
                 }
-                batchBitmaps.push(word);
             }
-
-            combinedBitmap = 0xFFFFFFFF;
-            for (const w of batchBitmaps) combinedBitmap &= w;
         }
 
-        if (combinedBitmap === 0) break;  // no shared valid offset in this chunk
+        if (sc.earlyOutBasePointer &&
+            (hitStructures.length || hitEntryPoints.length || targetPaths.length)) break;
 
-        // Pick the smallest valid offset in this chunk.
-        let chosenOffset = null;
-        for (let bit = 0; bit < 32; bit++) {
-            if ((combinedBitmap & (1 << bit)) !== 0) {
-                const candidate = chunkStart + bit * 4;
-                if (candidate <= chunkEnd) { chosenOffset = candidate; break; }
-            }
-        }
-        if (chosenOffset === null) break;
+        level = nextLevel;
+    }
 
-        // --- Majority voting for entry-point early exit ----------------------
-        let targetCount = 0;
-        const buildOffsetFreq = new Map();
+    return { structures: hitStructures, entryPoints: hitEntryPoints, targetPaths };
+}
 
-        for (let b = 0; b < batchCount; b++) {
-            const { addr }  = state.addresses[b];
-            const dataIdx   = batchIndexes[b].get(addr);
-            if (dataIdx === undefined) continue;
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
 
-            const value      = sc.batches[b].values[dataIdx];
-            const targetAddr = value + chosenOffset;
+/**
+ * Offsets valid in a quorum of batches for one state and chunk — with the
+ * default quorum, the AND of every batch's offset-presence bitmap.  Each
+ * batch may sit at a different address, so a batch's word comes from the
+ * precomputed bitmap for its own address when there is one, and is worked
+ * out on the fly otherwise.
+ */
+function _combinedChunkBitmap(sc, state, chunkStart, batchIndexes, bitmapCtx) {
+    const { store, slots: precompSlots, bytes: precompBytes } = bitmapCtx;
+    const batchCount = sc.batches.length;
+    const quorum     = sc.quorumSize();
 
-            if (sc.targetNodes[b].has(targetAddr)) {
-                targetCount++;
-                continue;
-            }
+    const slotIdx = Math.floor(chunkStart / 128);
+    const inCover = store && chunkStart < precompBytes && slotIdx < precompSlots;
 
-            // Check detection-phase entry points for this batch.
-            for (const ep of sc.entryPoints) {
-                if (ep.batchIdx === b && ep.addresses.includes(targetAddr)) {
-                    targetCount++;
-                    buildOffsetFreq.set(ep.buildOffset, (buildOffsetFreq.get(ep.buildOffset) || 0) + 1);
-                    break;
+    const words = [];
+    let   empty = 0;
+    for (let b = 0; b < batchCount; b++) {
+        const { addr } = state.addresses[b];
+        const precomp  = inCover ? store.get(addr) : undefined;
+        let   word     = 0;
+
+        if (precomp) {
+            word = precomp[b * precompSlots + slotIdx];
+        } else {
+            // Check each offset in the chunk for this batch.
+            const dataIdx = batchIndexes[b].get(addr);
+            if (dataIdx !== undefined) {
+                const value = sc.batches[b].values[dataIdx];
+                for (let bit = 0; bit < 32; bit++) {
+                    if (batchIndexes[b].has(value + chunkStart + bit * 4)) word |= (1 << bit);
                 }
             }
         }
 
-        const hasMajority = targetCount > batchCount * 0.66;
-        let   offsetsAgree = true;
-        if (buildOffsetFreq.size > 0) {
-            const epTotal   = [...buildOffsetFreq.values()].reduce((a, b) => a + b, 0);
-            const epBest    = Math.max(...buildOffsetFreq.values());
-            offsetsAgree    = epBest > epTotal * 0.5;
-        }
+        if (word === 0 && ++empty > batchCount - quorum) return 0;
+        words.push(word);
+    }
 
-        if (hasMajority && offsetsAgree) {
-            // Find winning buildOffset.
-            let winningOffset = chosenOffset;
-            let winningCount  = 0;
-            for (const [o, c] of buildOffsetFreq) {
-                if (c > winningCount) { winningCount = c; winningOffset = o; }
-            }
-            hitEntryPoints.push({
-                root:        base.address,
-                nodeCount:   state.depth,
-                addresses:   [state.addresses[0].addr],
-                buildOffset: winningOffset,
-                path:        [...state.path, chosenOffset],
-                claimed:     false
-            });
-            break;
+    if (quorum === batchCount) return words.reduce((acc, word) => acc & word);
+
+    let combinedBitmap = 0;
+    for (let bit = 0; bit < 32; bit++) {
+        let n = 0;
+        for (const word of words) if (word & (1 << bit)) n++;
+        if (n >= quorum) combinedBitmap |= (1 << bit);
+    }
+    return combinedBitmap;
+}
+
+/**
+ * Majority vote for an entry-point early exit: more than two thirds of the
+ * batches must land in their target pool or a detection-phase entry point,
+ * and entry points hit must mostly agree on a buildOffset.
+ *
+ * @returns {{ buildOffset: number, agreement: number } | null}
+ */
+function _voteEntryPoint(sc, nextLanded, offset) {
+    const batchCount = sc.batches.length;
+    let targetCount = 0;
+    const buildOffsetFreq = new Map();
+
+    for (let b = 0; b < batchCount; b++) {
+        const targetAddr = nextLanded[b];
+        if (targetAddr === 0) continue;
+
+        if (sc.targetNodes[b].has(targetAddr)) {
+            targetCount++;
+            continue;
         }
 
-        // --- Advance state ---------------------------------------------------
-        const nextAddrs = [];
-        for (let b = 0; b < batchCount; b++) {
-            const { addr }  = state.addresses[b];
-            const dataIdx   = batchIndexes[b].get(addr);
-            if (dataIdx === undefined) {
-                nextAddrs.push({ addr: 0, batchIdx: b });
-                continue;
+        // Check detection-phase entry points for this batch.
+        for (const ep of sc.entryPoints) {
+            if (ep.batchIdx === b && ep.addresses.includes(targetAddr)) {
+                targetCount++;
+                buildOffsetFreq.set(ep.buildOffset, (buildOffsetFreq.get(ep.buildOffset) || 0) + 1);
+                break;
             }
-            const value    = sc.batches[b].values[dataIdx];
-            nextAddrs.push({ addr: value + chosenOffset, batchIdx: b });
         }
+    }
 
-        state = {
-            addresses: nextAddrs,
-            depth:     state.depth + 1,
-            path:      [...state.path, chosenOffset]
-        };
+    const hasMajority = targetCount > batchCount * 0.66;
+    let   offsetsAgree = true;
+    if (buildOffsetFreq.size > 0) {
+        const epTotal   = [...buildOffsetFreq.values()].reduce((a, b) => a + b, 0);
+        const epBest    = Math.max(...buildOffsetFreq.values());
+        offsetsAgree    = epBest > epTotal * 0.5;
     }
+    if (!hasMajority || !offsetsAgree) return null;
 
-    return { structures: hitStructures, entryPoints: hitEntryPoints, targetPaths };
+    // Find winning buildOffset.
+    let winningOffset = offset;
+    let winningCount  = 0;
+    for (const [o, c] of buildOffsetFreq) {
+        if (c > winningCount) { winningCount = c; winningOffset = o; }
+    }
+    return { buildOffset: winningOffset, agreement: targetCount };
 }
 
-// ---------------------------------------------------------------------------
-// Internal helpers
-// ---------------------------------------------------------------------------
-
 function _buildStructAddrMap(sc) {
     const m = new Map();
     for (const struct of sc.structures) {
         const entry = { type: 'structure', id: struct.id, struct };
+        if (struct.nodesByBatch) {
+            entry.batchNodes = struct.nodesByBatch.map((nodes, b) =>
+                new Set([...nodes, ...(struct.prevByBatch?.[b] || [])])
+            );
+        }
         for (const addr of (struct.addresses || [])) m.set(addr, entry);
         for (const addr of (struct.ghosts    || [])) m.set(addr, entry);
+        for (const addr of (struct.prevAddresses || [])) m.set(addr, entry);
     }
     return m;
 }
@@ -1,7 +1,8 @@
 /**
  * =============================================================================
  * Achievement Generator - Updated for New Algorithm
- * Handles static lists with ghosts, dynamic lists, base pointers, entry points
+ * Handles static lists with ghosts, dynamic lists, doubly linked and circular
+ * lists, trees, pointer / hash tables, object pools, base pointers, entry points
  * =============================================================================
  */
 
@@ -11,8 +12,9 @@ class AchievementGenerator {
         this.systemConfig = Config.getSystemConfig(systemId);
         this.systemMask = this.systemConfig?.mask;
         this.use24Bit = this.systemConfig?.use24Bit || false;
-        this.useBigEndian = (systemId === 'gamecube' || systemId === 'wii');
-        this.targetAddresses = [];
+        this.useBigEndian = Config.isBigEndian(systemId);
+        this.batchTargets = [];
+        this.groupName = null;   // batch group being scanned on its own (group analysis)
         
         // Persistent ID counters
         this.staticId = 100000;
@@ -28,11 +30,15 @@ class AchievementGenerator {
         this.systemConfig = Config.getSystemConfig(systemId);
         this.systemMask = this.systemConfig?.mask;
         this.use24Bit = this.systemConfig?.use24Bit || false;
-        this.useBigEndian = (systemId === 'gamecube' || systemId === 'wii');
+        this.useBigEndian = Config.isBigEndian(systemId);
     }
 
-    setTargetAddresses(targets) {
-        this.targetAddresses = targets.filter(t => t !== null && t !== 0);
+    /**
+     * Set the per-batch target addresses (null = no target for that batch).
+     * Normalised to signed 32-bit to match the scanner's collapsed addresses.
+     */
+    setTargetAddresses(batchTargets) {
+        this.batchTargets = batchTargets.map(t => (t === null || t === undefined || t === 0) ? null : (t | 0));
     }
 
     /**
@@ -48,9 +54,9 @@ class AchievementGenerator {
         for (const structure of structures) {
             let baseAddr = null;
             
-            if (structure.type === 'static_list') {
+            if (structure.type === 'static_list' || structure.static) {
                 baseAddr = structure.addresses[0]; // First entry of static list
-            } else if (structure.type === 'dynamic_list') {
+            } else if (['dynamic_list', 'doubly_linked_list', 'circular_list', 'tree'].includes(structure.type)) {
                 baseAddr = structure.root; // Base pointer for dynamic lists
             } else if (structure.type === 'entry_point') {
                 baseAddr = structure.root; // Base pointer for entry points
@@ -67,10 +73,10 @@ class AchievementGenerator {
                 
                 if (structure.type === 'entry_point') {
                     basePointerGroups.get(baseAddr).entryPoints.push(structure);
-                } else if (structure.type === 'dynamic_list') {
-                    basePointerGroups.get(baseAddr).structures.push(structure);
-                } else if (structure.type === 'static_list') {
+                } else if (structure.static) {
                     basePointerGroups.get(baseAddr).staticLists.push(structure);
+                } else {
+                    basePointerGroups.get(baseAddr).structures.push(structure);
                 }
             }
         }
@@ -118,7 +124,9 @@ class AchievementGenerator {
             if (group.staticLists.length > 0) {
                 // Static list achievements (one per static list)
                 for (const staticList of group.staticLists) {
-                    const achievement = this.generateStaticListAchievement(staticList);
+                    const achievement = staticList.type === 'object_pool'
+                        ? this.generateObjectPoolAchievement(staticList)
+                        : this.generateStaticListAchievement(staticList);
                     if (achievement) {
                         const coversTarget = this.checkTargetCoverage(staticList);
                         if (coversTarget) {
@@ -140,68 +148,83 @@ class AchievementGenerator {
 
         for (const ach of achievements) {
             // Check if this is a static list achievement
-            if (ach.title && ach.title.includes('Static List')) {
+            if (ach.type === 'static_list') {
                 ach.id = this.staticId++;
             } else {
                 ach.id = this.regularId++;
             }
         }
 
-        return [...targetAchievements, ...achievements];
+        const all = [...targetAchievements, ...achievements];
+        if (this.groupName) {
+            for (const ach of all) ach.title = `[${this.groupName}] ${ach.title}`;
+        }
+        return all;
     }
 
     /**
-     * Check if structure covers target addresses
+     * Check if structure covers the per-batch target addresses.
+     *
+     * Every batch that has a target must reach its own target:
+     *   - scan hits carry batchAddresses (landing address per batch) → exact match
+     *   - consolidated lists (nodesByBatch) answer with each batch's own
+     *     nodes; batches the list wasn't found in are skipped
+     *   - static structures must contain each batch's target
+     * Batches without a target are "don't care"; at least one must have one.
      */
     checkTargetCoverage(structure) {
-        if (this.targetAddresses.length === 0) return false;
+        const structureAddrs = new Set([
+            ...(structure.addresses     || []),
+            ...(structure.ghosts        || []),
+            ...(structure.prevAddresses || [])
+        ]);
 
-        // Get all addresses in structure
-        const structureAddrs = new Set();
-        
-        if (structure.addresses) {
-            for (const addr of structure.addresses) {
-                structureAddrs.add(addr);
-            }
-        }
-        
-        if (structure.ghosts) {
-            for (const addr of structure.ghosts) {
-                structureAddrs.add(addr);
-            }
-        }
+        let constrained = false;
+        for (let b = 0; b < this.batchTargets.length; b++) {
+            const target = this.batchTargets[b];
+            if (target === null) continue;
 
-        // Check overlap
-        for (const target of this.targetAddresses) {
-            if (structureAddrs.has(target)) {
-                return true;
+            let covered;
+            if (structure.batchAddresses) {
+                covered = structure.batchAddresses[b] === target;
+            } else if (structure.nodesByBatch) {
+                if (structure.nodesByBatch[b].length === 0) continue;
+                covered = structure.nodesByBatch[b].includes(target) ||
+                          (structure.prevByBatch?.[b] || []).includes(target);
+            } else {
+                covered = structureAddrs.has(target);
             }
+
+            if (!covered) return false;
+            constrained = true;
         }
 
-        return false;
+        return constrained;
     }
 
     /**
      * Unified Static List achievement generation
      */
     generateStaticListAchievement(structure) {
-        const idHex = structure.id.toString(16).toUpperCase();
-        const rootHex = structure.root.toString(16).toUpperCase();
+        const idHex = (structure.id >>> 0).toString(16).toUpperCase();
+        const rootHex = (structure.root >>> 0).toString(16).toUpperCase();
         
-        // Calculate full range (including ghosts)
-        const allAddresses = [...structure.addresses, ...structure.ghosts].sort((a, b) => a - b);
+        // Calculate full range (including ghosts and prev slots)
+        const allAddresses = [
+            ...structure.addresses, ...structure.ghosts, ...(structure.prevAddresses || [])
+        ].sort((a, b) => a - b);
         const firstAddr = allAddresses[0];
         const lastAddr = allAddresses[allAddresses.length - 1];
         const range = lastAddr - firstAddr;
         const dwordCount = Math.floor(range / 4);
         
-        const lastHex = lastAddr.toString(16).toUpperCase();
+        const lastHex = (lastAddr >>> 0).toString(16).toUpperCase();
 
         // Generate DWORD checks only for actual node addresses
         const conditions = [];
         for (let i = 0; i < allAddresses.length; i++) {
             const addr = allAddresses[i];
-            const addrHex = addr.toString(16);
+            const addrHex = (addr >>> 0).toString(16);
             
             const prefix = i < allAddresses.length - 1 ? 'O:' : '';
             conditions.push(`${prefix}0xX${addrHex}!=d0xX${addrHex}`);
@@ -209,8 +232,34 @@ class AchievementGenerator {
 
         const logic = conditions.join('_');
         const ghostInfo = structure.ghostCount > 0 ? ` (${structure.ghostCount} ghosts)` : '';
-        const title = `Static List 0x${idHex}${ghostInfo}`;
-        const description = `${structure.validCount} nodes from 0x${rootHex} to 0x${lastHex}`;
+        const title = `Static ${this.structureKind(structure)} 0x${idHex}${ghostInfo}${this.classNote(structure)}`;
+        const shape = this.describeShape(structure);
+        let description = `${structure.validCount} nodes from 0x${rootHex} to 0x${lastHex}`;
+        if (['circular_list', 'tree', 'pointer_table', 'hash_table'].includes(structure.type)) {
+            description = shape;
+        } else if (shape) {
+            description += `, ${shape}`;
+        }
+
+        return { id: null, logic, title, description, isTarget: false, type: 'static_list' };
+    }
+
+    /**
+     * Object pool achievement: one alt group per slot, true when that slot's
+     * key field goes from null to a pointer (the slot was just taken).
+     */
+    generateObjectPoolAchievement(pool) {
+        const idHex   = (pool.id >>> 0).toString(16).toUpperCase();
+        const rootHex = (pool.root >>> 0).toString(16).toUpperCase();
+        const hex     = n => (n >>> 0).toString(16);
+
+        const logic = pool.addresses
+            .map(addr => `Sd0xX${hex(addr)}=0_0xX${hex(addr)}!=0`)
+            .join('_');
+
+        const title = `Object Pool 0x${idHex}${this.classNote(pool)}`;
+        const description = `${pool.slotCount} slots of 0x${hex(pool.slotSize).toUpperCase()} at 0x${rootHex}, ` +
+            `in use ${pool.occupancy.join(' / ')}, watching +0x${hex(pool.keyOffset)}`;
 
         return { id: null, logic, title, description, isTarget: false, type: 'static_list' };
     }
@@ -234,8 +283,8 @@ class AchievementGenerator {
             additionalInfo = ''
         } = config;
         
-        const idHex = id ? id.toString(16).toUpperCase() : 'UNK';
-        const rootHex = root.toString(16).toUpperCase();
+        const idHex = id ? (id >>> 0).toString(16).toUpperCase() : 'UNK';
+        const rootHex = (root >>> 0).toString(16).toUpperCase();
         const sizePrefix = this.getSizePrefix();
         const maskStr = this.getMaskString();
         
@@ -254,13 +303,13 @@ class AchievementGenerator {
             
             for (let i = 0; i < 0x3F; i += 4) {
                 const offset = buildOffset + i;
-                const offsetHex = offset.toString(16);
+                const offsetHex = (offset >>> 0).toString(16);
                 const prefix = i < 0x3F- 4 ? 'O:' : '';
                 parts.push(`I:{recall}_${prefix}0xX${offsetHex}!=d0xX${offsetHex}`);
             }
             
             const offsetHex = buildOffset.toString(16).toUpperCase();
-            const title = `Dynamic List 0x${idHex} (0x${offsetHex})`;
+            const title = `Dynamic List 0x${idHex} (0x${offsetHex})${this.classNote(config)}`;
             const description = `${nodeCount} nodes at offset 0x${offsetHex}`;
             
             return { id: null, logic: parts.join('_'), title, description, isTarget: false, type: 'dynamic_list' };
@@ -280,20 +329,14 @@ class AchievementGenerator {
                 if (itemPath.length === 1) {
                     // Single offset - K: on base pointer address
                     altParts.push(`K:${sizePrefix}${rootHex}${maskStr}`);
-                    const offset = itemPath[0];
-                    for (let i = 0; i < 0x3F; i += 4) {
-                        const dwordOffset = offset + i;
-                        const dwordOffsetHex = dwordOffset.toString(16);
-                        const prefix = i < 0x3F- 4 ? 'O:' : '';
-                        altParts.push(`I:{recall}_${prefix}0xX${dwordOffsetHex}!=d0xX${dwordOffsetHex}`);
-                    }
+                    altParts.push(...this.watchConditions(item, itemPath[0]));
                 } else if (itemPath.length > 1) {
                     // Multi-offset path: include root address in chain
                     altParts.push(`I:${sizePrefix}${rootHex}${maskStr}`);
                     
                     for (let j = 0; j < itemPath.length - 1; j++) {
                         const offset = itemPath[j];
-                        const offsetHex = `${sizePrefix}${offset.toString(16)}`;
+                        const offsetHex = `${sizePrefix}${(offset >>> 0).toString(16)}`;
                         
                         if (j === itemPath.length - 2) {
                             altParts.push(`K:${offsetHex}${maskStr}`);
@@ -302,13 +345,7 @@ class AchievementGenerator {
                         }
                     }
                     
-                    const finalOffset = itemPath[itemPath.length - 1];
-                    for (let i = 0; i < 0x3F; i += 4) {
-                        const offset = finalOffset + i;
-                        const offsetHex = offset.toString(16);
-                        const prefix = i < 0x3F- 4 ? 'O:' : '';
-                        altParts.push(`I:{recall}_${prefix}0xX${offsetHex}!=d0xX${offsetHex}`);
-                    }
+                    altParts.push(...this.watchConditions(item, itemPath[itemPath.length - 1]));
                 }
                 
                 alts.push(altParts.join('_'));
@@ -317,8 +354,16 @@ class AchievementGenerator {
             // Group all alts with underscores between them
             const logic = alts.join('_');
             const altType = entryPoints ? 'entry points' : 'dynamic structures';
-            const title = `Base Pointer 0x${rootHex} (${altItems.length} ${altType})`;
-            const description = `${altItems.length} ${altType} found from base 0x${rootHex}`;
+            const title = `Base Pointer 0x${rootHex} (${altItems.length} ${altType})${this.classNote(...altItems)}`;
+            let description = `${altItems.length} ${altType} found from base 0x${rootHex}`;
+
+            const shaped = altItems
+                .map(item => item.targetStruct || item)
+                .find(struct => struct && this.describeShape(struct));
+            if (shaped) {
+                description += `, reaches ${this.structureKind(shaped).toLowerCase()} (${this.describeShape(shaped)})`;
+            }
+            description += this.agreementNote(altItems);
             
             return { id: null, logic, title, description, isTarget: false, type: 'base_pointer_with_alts' };
             
@@ -329,20 +374,14 @@ class AchievementGenerator {
             if (fullPath.length === 1) {
                 // Single offset - K: on base pointer address
                 parts.push(`K:${sizePrefix}${rootHex}${maskStr}`);
-                const offset = fullPath[0];
-                for (let i = 0; i < 0x3F; i += 4) {
-                    const dwordOffset = offset + i;
-                    const dwordOffsetHex = dwordOffset.toString(16);
-                    const prefix = i < 0x3F- 4 ? 'O:' : '';
-                    parts.push(`I:{recall}_${prefix}0xX${dwordOffsetHex}!=d0xX${dwordOffsetHex}`);
-                }
+                parts.push(...this.watchConditions(config, fullPath[0]));
             } else {
                 // Multi-offset path: include root address in chain
                 parts.push(`I:${sizePrefix}${rootHex}${maskStr}`);
                 
                 for (let i = 0; i < fullPath.length - 1; i++) {
                     const offset = fullPath[i];
-                    const offsetHex = `${sizePrefix}${offset.toString(16)}`;
+                    const offsetHex = `${sizePrefix}${(offset >>> 0).toString(16)}`;
                     
                     if (i === fullPath.length - 2) {
                         parts.push(`K:${offsetHex}${maskStr}`);
@@ -351,13 +390,7 @@ class AchievementGenerator {
                     }
                 }
                 
-                const finalOffset = fullPath[fullPath.length - 1];
-                for (let i = 0; i < 0x3F; i += 4) {
-                    const offset = finalOffset + i;
-                    const offsetHex = offset.toString(16);
-                    const prefix = i < 0x3F- 4 ? 'O:' : '';
-                    parts.push(`I:{recall}_${prefix}0xX${offsetHex}!=d0xX${offsetHex}`);
-                }
+                parts.push(...this.watchConditions(config, fullPath[fullPath.length - 1]));
             }
             
             const logic = parts.join('_');
@@ -366,31 +399,94 @@ class AchievementGenerator {
             if (type === 'entry_point') {
                 const offsetInfoStr = buildOffset ? `0x${buildOffset.toString(16)}` : '0x0';
                 if (targetStruct) {
-                    const targetType = targetStruct.type === 'static_list' ? 'Static' : 'Dynamic';
+                    const targetType = targetStruct.static ? 'Static' : 'Dynamic';
                     const targetNodeCount = targetStruct.nodeCount || nodeCount;
                     title = `Entry Point to ${targetType} Structure (${targetNodeCount} nodes, ${offsetInfoStr})`;
                 } else {
                     title = `Entry Point 0x${idHex} (${offsetInfoStr})`;
                 }
+                title += this.classNote(config);
                 description = `From base 0x${rootHex}, ${nodeCount} nodes at ${offsetInfoStr}`;
                 if (targetStruct) {
                     description += `, Accesses: ${targetStruct.type}`;
+                    const shape = this.describeShape(targetStruct);
+                    if (shape) description += ` (${shape})`;
                 }
+                description += this.agreementNote([config]);
             } else {
                 const offsetInfoStr = offsetInfo || (buildOffset ? `0x${buildOffset.toString(16)}` : '0x0');
                 const hasMovingEntry = entryPoints && entryPoints.some(ep => ep.movingEntryPoint);
                 const movingNote = hasMovingEntry ? ' MOVING' : '';
-                title = `Base Pointer 0x${idHex} (${offsetInfoStr})${movingNote}`;
+                title = `Base Pointer 0x${idHex} (${offsetInfoStr})${this.classNote(...(entryPoints || []))}${movingNote}`;
                 description = `From 0x${rootHex}, ${nodeCount} nodes at ${offsetInfoStr}`;
                 if (hasMovingEntry) {
                     description += ' - Entry point varies by state (progression/instance)';
                 }
+                description += this.agreementNote(entryPoints || []);
             }
             
             return { id: null, logic, title, description, isTarget: false, type: type };
         }
     }
 
+    /**
+     * Change checks after a path's last hop, OR'd together.  Without a layout
+     * this is a blind 16-dword window from the landing address.  With an
+     * inferred layout (see layout-inference.js) it is the node itself: its
+     * dwords from base to base + size, minus the pointer fields that never
+     * change, keeping the 16 closest to the landing address.
+     *
+     * @param {object} item         Entry point / structure, or a config with
+     *                              layout / targetStruct.
+     * @param {number} finalOffset  The path's last offset (lands on the node).
+     * @returns {string[]}
+     */
+    watchConditions(item, finalOffset) {
+        const layout = item.layout || item.targetStruct?.layout;
+
+        let offsets = Array.from({ length: 16 }, (_, i) => finalOffset + i * 4);
+        if (layout) {
+            const constant = new Set(layout.fields.filter(f => f.values === 'constant').map(f => f.offset));
+            const node = [];
+            for (let off = 0; off < layout.size; off += 4) {
+                if (!constant.has(off)) node.push(off);
+            }
+            const distance = off => Math.abs(off - layout.anchorOffset);
+            const watched  = node.sort((a, b) => distance(a) - distance(b) || a - b).slice(0, 16);
+            if (watched.length > 0) {
+                offsets = watched.sort((a, b) => a - b).map(off => finalOffset - layout.anchorOffset + off);
+            }
+        }
+
+        return offsets.map((offset, i) => {
+            const offsetHex = (offset >>> 0).toString(16);
+            const prefix    = i < offsets.length - 1 ? 'O:' : '';
+            return `I:{recall}_${prefix}0xX${offsetHex}!=d0xX${offsetHex}`;
+        });
+    }
+
+    /**
+     * ", agreed in 5 / 6 states" when an item was only found in some of the
+     * states (a quorum scan), '' when every item was found in all of them.
+     */
+    agreementNote(items) {
+        const states = this.batchTargets.length;
+        const agreed = Math.min(states, ...items.map(item => item.agreement ?? states));
+        return agreed < states ? `, agreed in ${agreed} / ${states} states` : '';
+    }
+
+    /**
+     * Title suffix naming the class the item's nodes are instances of, e.g.
+     * " [class 0x80301234]" (the vtable address), from the first item whose
+     * layout found one (see layout-inference.js).
+     */
+    classNote(...items) {
+        const vtable = items
+            .map(item => (item.layout || item.targetStruct?.layout)?.vtable)
+            .find(Boolean);
+        return vtable ? ` [class 0x${(vtable.address >>> 0).toString(16).toUpperCase()}]` : '';
+    }
+
     /**
      * Legacy wrapper for dynamic list achievement generation
      */
@@ -401,7 +497,8 @@ class AchievementGenerator {
             root: structure.root,
             buildOffset: structure.buildOffset,
             nodeCount: structure.nodeCount,
-            stride: structure.stride
+            stride: structure.stride,
+            layout: structure.layout
         });
     }
 
@@ -448,28 +545,64 @@ class AchievementGenerator {
     }
 
     /**
-     * Check target coverage for group of structures
+     * Structure name for titles, e.g. "Circular Doubly Linked List", "Tree"
      */
-    checkTargetCoverageForGroup(structures) {
-        if (!this.targetAddresses || this.targetAddresses.length === 0) return false;
-        
-        const structureAddrs = new Set();
-        
-        for (const struct of structures) {
-            if (struct.addresses) {
-                for (const addr of struct.addresses) {
-                    structureAddrs.add(addr);
-                }
+    structureKind(structure) {
+        if (structure.type === 'tree') return 'Tree';
+        if (structure.type === 'pointer_table') return 'Pointer Table';
+        if (structure.type === 'hash_table')    return 'Hash Table';
+        const circular = structure.type === 'circular_list' ? 'Circular ' : '';
+        const doubly   = structure.prevOffset !== undefined ? 'Doubly Linked ' : '';
+        return `${circular}${doubly}List`;
+    }
+
+    /**
+     * Shape details for trees, pointer / hash tables and dynamic, circular
+     * and doubly linked lists, '' otherwise, e.g. "12-node ring, sentinel 0x80100000, next 0x0 / prev 0x4"
+     */
+    describeShape(structure) {
+        const parts = [];
+        if (structure.type === 'pointer_table') {
+            const rootHex = (structure.root >>> 0).toString(16).toUpperCase();
+            parts.push(`${structure.slotCount} slots at 0x${rootHex}`);
+            if (structure.targetLayout === 'block') parts.push('targets move together');
+            if (structure.targetStride !== null) {
+                parts.push(`targets every 0x${structure.targetStride.toString(16).toUpperCase()}`);
             }
         }
-        
-        for (const target of this.targetAddresses) {
-            if (structureAddrs.has(target)) {
-                return true;
-            }
+        if (structure.type === 'hash_table') {
+            const rootHex = (structure.root >>> 0).toString(16).toUpperCase();
+            const counts  = new Set(structure.entryCounts).size === 1
+                ? structure.entryCount : structure.entryCounts.join(' / ');
+            parts.push(`${structure.bucketCount} buckets at 0x${rootHex}`, `${counts} entries`);
+            parts.push(`chains up to ${structure.maxChain}`, `next 0x${(structure.nextOffset >>> 0).toString(16)}`);
         }
-        
-        return false;
+        if (structure.type === 'tree') {
+            const [a, b] = structure.childOffsets.map(o => `0x${(o >>> 0).toString(16)}`);
+            parts.push(`${structure.nodeCount} nodes`, `depth ${structure.depth}`, `children ${a} / ${b}`);
+        }
+        if (structure.type === 'circular_list') {
+            const entryHex = (structure.root >>> 0).toString(16).toUpperCase();
+            parts.push(`${structure.cycleLength}-node ring`);
+            parts.push(structure.sentinel !== null ? `sentinel 0x${entryHex}` : `entry 0x${entryHex}`);
+        }
+        if (structure.nodesByBatch) {
+            const counts = new Set(structure.nodeCounts).size === 1
+                ? structure.nodeCount : structure.nodeCounts.join(' / ');
+            if (structure.type !== 'circular_list') parts.push(`${counts} nodes`);
+            parts.push(`stability ${structure.stability.toFixed(2)}`);
+        }
+        if (structure.prevOffset !== undefined) {
+            parts.push(`next 0x${(structure.nextOffset >>> 0).toString(16)} / prev 0x${(structure.prevOffset >>> 0).toString(16)}`);
+        }
+        return parts.join(', ');
+    }
+
+    /**
+     * Check target coverage for group of structures
+     */
+    checkTargetCoverageForGroup(structures) {
+        return structures.some(struct => this.checkTargetCoverage(struct));
     }
 
     /**
@@ -483,7 +616,9 @@ class AchievementGenerator {
             path: entryPoint.path,
             buildOffset: entryPoint.buildOffset,
             nodeCount: entryPoint.nodeCount,
-            targetStruct: entryPoint.targetStruct
+            targetStruct: entryPoint.targetStruct,
+            layout: entryPoint.layout,
+            agreement: entryPoint.agreement
         });
     }
 
@@ -0,0 +1,228 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Batch Group Analysis
+ *
+ * States from different game contexts — a menu, the overworld, a battle —
+ * legitimately hold different structures, and a list that only exists in
+ * battle is vetoed by the menu states in the global scan.  Each batch can
+ * carry a group name (sc.batchGroups).  With sc.groupAnalysis on, every
+ * group of at least two batches (but not all of them) is scanned again on
+ * its own once the global scan is done.
+ *
+ * Universal vs group-specific
+ * ---------------------------
+ * Everything the global scan reports is universal.  A group's scan starts
+ * with the roots the global scan already reported (sc.reportedRoots,
+ * sc.reportedStaticRoots) marked as done, so it only writes achievements
+ * for what the global scan didn't have: the group-specific structures.
+ * Its target paths are kept when the global scan didn't find the same path.
+ *
+ * A group's achievements only have to hold in that group's states, so they
+ * are logic-checked against those alone (checkGroupOutputs) and appended
+ * to the global outputs by the caller.  Group scans share the main
+ * generator's ID counters, so IDs stay unique, and put the group name in
+ * front of their titles.
+ * =============================================================================
+ */
+
+'use strict';
+
+// Scanner settings a group scan inherits.
+const GROUP_SCAN_SETTINGS = [
+    'minChainLength', 'maxGhostNodes', 'minTableSlots', 'minPoolSlots',
+    'maxBreadth', 'maxDepth', 'maxStatesPerDepth', 'quorum',
+    'earlyOutBasePointer', 'earlyOutTarget', 'skipStickyPointers', 'enabledRanges',
+    'rangeLayout', 'scanMode', 'reverseNegWindow', 'reversePosWindow', 'useWorkers', 'workerCount'
+];
+
+/**
+ * The groups worth scanning on their own, in order of first appearance.
+ * Names are trimmed and lose the characters the achievement format
+ * reserves (: and ").
+ *
+ * @param   {string[]} batchGroups  Group name per batch ('' = none).
+ * @param   {number}   batchCount
+ * @returns {{ name: string, batches: number[] }[]}
+ */
+function batchGroupIndices(batchGroups, batchCount) {
+    const byName = new Map();
+    for (let b = 0; b < batchCount; b++) {
+        const name = (batchGroups[b] || '').replace(/[:"]/g, '').trim();
+        if (!name) continue;
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(b);
+    }
+
+    return [...byName]
+        .filter(([, batches]) => batches.length >= 2 && batches.length < batchCount)
+        .map(([name, batches]) => ({ name, batches }));
+}
+
+/**
+ * Preprocessor.collapse() output cut down to some of its batches, in the
+ * same shape.  Addresses absent from all of them are dropped; the scanner
+ * reclassifies the rest for the subset when it ingests them.
+ *
+ * @param   {object}   output   Preprocessor.collapse() result.
+ * @param   {number[]} batches  Batch indices to keep, in order.
+ * @returns {object}
+ */
+function subsetCollapsedOutput(output, batches) {
+    const ss = output.staticStatics;
+    const ssKept = [], ssMasks = [];
+    for (let i = 0; i < ss.addresses.length; i++) {
+        let mask = 0;
+        batches.forEach((b, j) => { if (ss.masks[i] & (1 << b)) mask |= 1 << j; });
+        if (mask) { ssKept.push(i); ssMasks.push(mask); }
+    }
+
+    const perBatch = ({ addresses, values }) => {
+        const kept = { addresses: [], values: [] };
+        for (let i = 0; i < addresses.length; i++) {
+            const vals = Int32Array.from(batches, b => values[i][b]);
+            if (!vals.some(v => v !== 0)) continue;
+            kept.addresses.push(addresses[i]);
+            kept.values.push(vals);
+        }
+        return { addresses: Int32Array.from(kept.addresses), values: kept.values };
+    };
+
+    return {
+        systemId:      output.systemId,
+        batchCount:    batches.length,
+        staticStatics: {
+            addresses: Int32Array.from(ssKept, i => ss.addresses[i]),
+            values:    Int32Array.from(ssKept, i => ss.values[i]),
+            masks:     Int32Array.from(ssMasks)
+        },
+        staticNodes:   perBatch(output.staticNodes),
+        dynamicNodes:  perBatch(output.dynamicNodes),
+        classInstances: perBatch(output.classInstances)
+    };
+}
+
+/**
+ * Scan each batch group on its own.  Called by processBatches() after the
+ * global scan, with the collapsed output and targets that scan had.
+ *
+ * @param   {BDRAMScanner}    sc
+ * @param   {object}          output        Preprocessor.collapse() result.
+ * @param   {(number|null)[]} batchTargets  Target per batch.
+ * @returns {Promise<object[]>} Per group, only what the global scan didn't report:
+ *          { name, batches, achievementCount, staticOutput, streamedOutput, targetPaths }
+ */
+async function analyseBatchGroups(sc, output, batchTargets) {
+    const groups = batchGroupIndices(sc.batchGroups, output.batchCount);
+    const known  = new Set(sc.targetPaths.map(_pathKey));
+    const report = [];
+
+    for (const { name, batches } of groups) {
+        await sc.checkControl();
+
+        const targets = batches.map(b => batchTargets[b] ?? null);
+        if (sc.scanMode === 'reverse' && !targets.some(t => t)) {
+            console.log(`Group "${name}": no targets, skipped by the reverse scan`);
+            continue;
+        }
+
+        globalEventBus.emit('progress:update', {
+            percent: 96,
+            status:  `Scanning group "${name}" (${batches.length} states)…`
+        });
+
+        const sub = new BDRAMScanner();
+        for (const key of GROUP_SCAN_SETTINGS) sub[key] = sc[key];
+        sub.checkpointsEnabled  = false;
+        sub.processedBaseAddrs  = new Set(sc.reportedRoots);
+        sub.reportedStaticRoots = new Set(sc.reportedStaticRoots);
+        sub.generator           = sc.generator && _groupGenerator(sc.generator, name, targets);
+
+        sc.groupScanner = sub;
+        let result;
+        try {
+            result = await sub.processBatches(subsetCollapsedOutput(output, batches), targets);
+        } finally {
+            sc.groupScanner = null;
+            if (sub.generator) _copyIds(sub.generator, sc.generator);
+        }
+
+        // Group targets are indexed by the group's own batches.
+        const spread = tp => sc.batchTargets.map((_, b) => {
+            const j = batches.indexOf(b);
+            return j < 0 ? null : tp.batchTargets[j];
+        });
+
+        const entry = {
+            name,
+            batches,
+            achievementCount: sub.staticAchievementCount + sub.dynamicAchievementCount,
+            staticOutput:     result.staticOutput,
+            streamedOutput:   result.streamedOutput,
+            targetPaths:      result.targetPaths
+                .filter(tp => !known.has(_pathKey(tp)))
+                .map(tp => ({ ...tp, batchTargets: spread(tp), group: name }))
+        };
+        console.log(
+            `Group "${name}": ${entry.achievementCount} group-specific achievements, ` +
+            `${entry.targetPaths.length} target paths`
+        );
+        report.push(entry);
+    }
+
+    return report;
+}
+
+/**
+ * Logic-check each group's achievements against that group's states and
+ * join them up, ready to append to the global outputs.
+ *
+ * @param   {string}   systemId
+ * @param   {{ addresses, values }[]|null} batchData  Per-batch validated
+ *                                                    arrays; null = no check.
+ * @param   {object[]} groups  From analyseBatchGroups().
+ * @param   {'flag' | 'prune'} mode
+ * @returns {{ staticOutput: string, streamedOutput: string, logicCheck: object|null }}
+ */
+function checkGroupOutputs(systemId, batchData, groups, mode = 'flag') {
+    const joined = { staticOutput: '', streamedOutput: '', logicCheck: null };
+    if (batchData) joined.logicCheck = { mode, checked: 0, unresolved: 0 };
+
+    for (const group of groups) {
+        let texts = { staticOutput: group.staticOutput, streamedOutput: group.streamedOutput };
+        if (batchData) {
+            const checked = LogicEvaluator.checkTexts(
+                systemId, group.batches.map(b => batchData[b]), texts, mode,
+                group.batches.map(b => b + 1)
+            );
+            texts = checked.texts;
+            joined.logicCheck.checked    += checked.logicCheck.checked;
+            joined.logicCheck.unresolved += checked.logicCheck.unresolved;
+        }
+        joined.staticOutput   += texts.staticOutput;
+        joined.streamedOutput += texts.streamedOutput;
+    }
+    return joined;
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/** A generator for one group: its targets, its name, the main ID counters. */
+function _groupGenerator(main, name, targets) {
+    const generator = new AchievementGenerator(main.systemId);
+    generator.setTargetAddresses(targets);
+    generator.groupName = name;
+    _copyIds(main, generator);
+    return generator;
+}
+
+function _copyIds(from, to) {
+    to.staticId  = from.staticId;
+    to.targetId  = from.targetId;
+    to.regularId = from.regularId;
+}
+
+function _pathKey(tp) {
+    return `${tp.basePointer} ${tp.path}`;
+}
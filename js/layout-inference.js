@@ -0,0 +1,222 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Layout Inference
+ *
+ * Works out what a detected structure's nodes look like inside: how big a
+ * node is, which offsets hold pointers, where those pointers lead, and which
+ * of them change between states.  The result is attached to the structure
+ * (or entry point) as `layout`, so the generator can watch the node itself —
+ * from its base, for its size, minus the fields that never change — instead
+ * of a blind window after the landing address that may start mid-object and
+ * run into the next one.
+ *
+ * Model
+ * -----
+ * Every structure type knows its objects' base addresses in each batch
+ * (_objectBases): list nodes sit at base + next offset, tree and table slots
+ * hold bases, pool slots are bases.  Field offsets are measured from the
+ * base; layout.anchorOffset is where the structure's own addresses (and so a
+ * base pointer's landing address) sit relative to it — its buildOffset.
+ *
+ *   size     the smallest gap between two bases in any batch (objects don't
+ *            overlap), capped at LAYOUT_MAX_SIZE; the slot size for pools;
+ *            LAYOUT_DEFAULT_SIZE when each batch has a single node.
+ *   fields   every offset in [0, size) that holds a pointer for at least
+ *            one node:
+ *              kind    'pointer' in every node, 'nullable' in some
+ *              values  'constant' if every node holds the same value in
+ *                      every batch (a type or owner pointer), else 'varying'
+ *              into    'self' if the values are bases of this structure,
+ *                      the id of another structure they land in, or null
+ *   vtable   { address, offset } when most nodes are instances of the same
+ *            class — they point at the same vtable from the same offset
+ *            (sc.classInstances, see the Preprocessor's class catalogue) —
+ *            else null.  The generator puts the class in the title.
+ *
+ * Only pointer-valued words are in the pools, so fields that never hold a
+ * pointer can't be seen and are left out.  Vtable slots are anchors the
+ * Preprocessor removed, so they never show up as fields either.
+ * =============================================================================
+ */
+
+'use strict';
+
+const LAYOUT_MAX_SIZE     = 0x100;
+const LAYOUT_DEFAULT_SIZE = 0x40;
+
+/**
+ * Attach a layout to every item that doesn't have one yet.  An entry point
+ * that reached a structure shares that structure's layout.
+ *
+ * @param {BDRAMScanner} sc
+ * @param {object[]}     items         Structures and / or entry points.
+ * @param {Map[]}        batchIndexes  From buildBatchIndexes(sc).
+ */
+function inferLayouts(sc, items, batchIndexes) {
+    const getVals = batchIndexes.map((idx, b) => addr => {
+        const i = idx.get(addr);
+        return i === undefined ? undefined : sc.batches[b].values[i];
+    });
+    const classAt = sc.classInstances.size > 0
+        ? (addr, b) => sc.classInstances.get(addr)?.[b] || 0
+        : null;
+
+    // Which structure an object base belongs to, for `into`.
+    const owners = new Map();
+    for (const struct of sc.structures) {
+        for (const bases of _objectBases(struct, getVals)) {
+            for (const base of bases) owners.set(base, struct.id);
+        }
+    }
+
+    let inferred = 0;
+    for (const item of items) {
+        if (item.layout !== undefined) continue;
+        item.layout = item.targetStruct?.layout || _inferLayout(item, getVals, owners, classAt);
+        if (item.layout) inferred++;
+    }
+    if (inferred > 0) console.log(`Inferred ${inferred} struct layouts`);
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Layout of one item, or null if it has no nodes to look at.
+ *
+ * @returns {{ size: number, anchorOffset: number, fields: object[], vtable: object|null } | null}
+ */
+function _inferLayout(item, getVals, owners, classAt) {
+    const basesPerBatch = _objectBases(item, getVals);
+    if (basesPerBatch.every(bases => bases.length === 0)) return null;
+
+    const self = new Set(basesPerBatch.flat());
+    const size = _nodeSize(item, basesPerBatch);
+
+    const fields = [];
+    for (let off = 0; off < size; off += 4) {
+        const into = new Map();   // owner → values landing there
+        let seen = 0, present = 0, first, constant = true;
+
+        basesPerBatch.forEach((bases, b) => {
+            for (const base of bases) {
+                seen++;
+                const val = getVals[b](base + off);
+                if (val === undefined) continue;
+                present++;
+                if (first === undefined) first = val;
+                else if (val !== first) constant = false;
+
+                const owner = self.has(val) ? 'self' : (owners.get(val) ?? null);
+                into.set(owner, (into.get(owner) || 0) + 1);
+            }
+        });
+        if (present === 0) continue;
+
+        const [target, hits] = [...into].reduce((a, e) => e[1] > a[1] ? e : a);
+        fields.push({
+            offset: off,
+            kind:   present === seen ? 'pointer' : 'nullable',
+            values: constant ? 'constant' : 'varying',
+            into:   hits * 2 >= present ? target : null
+        });
+    }
+
+    return {
+        size,
+        anchorOffset: item.buildOffset || 0,
+        fields,
+        vtable:       classAt ? _nodeClass(basesPerBatch, size, classAt) : null
+    };
+}
+
+/**
+ * The class most nodes are instances of: the (offset, vtable) pair seen in
+ * the most nodes, if that is at least half of them.
+ *
+ * @returns {{ address: number, offset: number } | null}
+ */
+function _nodeClass(basesPerBatch, size, classAt) {
+    const hits = new Map();   // "offset vtable" → nodes
+    let seen = 0;
+
+    basesPerBatch.forEach((bases, b) => {
+        for (const base of bases) {
+            seen++;
+            for (let off = 0; off < size; off += 4) {
+                const vtable = classAt(base + off, b);
+                if (vtable === 0) continue;
+                const key = `${off} ${vtable}`;
+                hits.set(key, (hits.get(key) || 0) + 1);
+            }
+        }
+    });
+    if (hits.size === 0) return null;
+
+    const [key, count] = [...hits].reduce((a, e) => e[1] > a[1] ? e : a);
+    if (count * 2 < seen) return null;
+
+    const [offset, address] = key.split(' ').map(Number);
+    return { address, offset };
+}
+
+/**
+ * Object base addresses of an item, per batch.
+ *
+ * @returns {number[][]}
+ */
+function _objectBases(item, getVals) {
+    const B      = getVals.length;
+    const anchor = item.buildOffset || 0;
+    const perBatch = Array.from({ length: B }, () => []);
+    const slotValues = (slots, b) => slots.map(getVals[b]).filter(v => v !== undefined);
+
+    if (item.batchAddresses) {
+        // A base pointer's landing, one per batch (0 = none there).
+        item.batchAddresses.forEach((addr, b) => { if (addr) perBatch[b].push(addr - anchor); });
+        return perBatch;
+    }
+
+    if (item.nodesByBatch) {
+        // A consolidated list: each batch's own nodes.
+        return item.nodesByBatch.map(nodes => nodes.map(addr => addr - anchor));
+    }
+
+    for (let b = 0; b < B; b++) {
+        if (item.batchIdx !== undefined && item.batchIdx !== b) continue;
+
+        switch (item.type) {
+            case 'tree':
+                perBatch[b] = [item.root, ...slotValues(item.addresses, b)];
+                break;
+            case 'pointer_table':
+            case 'hash_table':
+                perBatch[b] = slotValues(item.addresses, b);
+                break;
+            case 'object_pool':
+                item.slotMasks.forEach((mask, s) => {
+                    if (mask & (1 << b)) perBatch[b].push(item.root + s * item.slotSize);
+                });
+                break;
+            default:
+                // Lists and detection-phase entry points: every address is a
+                // node's next slot.
+                perBatch[b] = item.addresses.map(addr => addr - anchor);
+        }
+    }
+    return perBatch;
+}
+
+/** Node size: see the module header. */
+function _nodeSize(item, basesPerBatch) {
+    if (item.type === 'object_pool') return item.slotSize;
+
+    let size = Infinity;
+    for (const bases of basesPerBatch) {
+        const sorted = [...new Set(bases)].sort((a, b) => a - b);
+        for (let i = 1; i < sorted.length; i++) size = Math.min(size, sorted[i] - sorted[i - 1]);
+    }
+    if (size === Infinity) size = LAYOUT_DEFAULT_SIZE;
+    return Math.max(Math.min(size, LAYOUT_MAX_SIZE), (item.buildOffset || 0) + 4);
+}
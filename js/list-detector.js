@@ -26,6 +26,38 @@
  * Both sweep offsets 0x0 → 0x3C in 4-byte steps, smallest first.
  * Both use the same resolveChainConflicts winner rule (longest, then smallest root).
  * Both write to scanner.structures, scanner.targetNodes, scanner.entryPoints.
+ *
+ * Doubly linked lists
+ * -------------------
+ * A doubly linked list walks as two chains: forwards through its next offset
+ * and backwards through its prev offset.  Whenever a chain is accepted, every
+ * other offset in the sweep range is tried as its partner: for each link
+ * A → B, B's slot at the partner offset must point back at A's node.  If one
+ * confirms every link, a single `doubly_linked_list` structure is emitted with
+ * both offsets and the partner slots are consumed alongside the chain, so the
+ * backwards walk never turns up as a list of its own.  "Next" is simply the
+ * direction the sweep met first (the smaller offset).
+ *
+ * Circular lists
+ * --------------
+ * Rings the walker reports come out as `circular_list` structures with their
+ * cycle length and a canonical entry node (the sentinel, if there is one).
+ * A ring whose prev offset also checks out keeps the doubly linked fields.
+ *
+ * Consolidation
+ * -------------
+ * Dynamic lists are walked per batch, so the same list found in six states
+ * comes out as six structures.  Once the sweep is done they are matched
+ * across batches — same type, next / prev offsets, and either the same root
+ * or at least one shared node — and each match becomes one structure, at
+ * most one list per batch.  It keeps every batch's nodes (nodesByBatch,
+ * empty where the list wasn't found), their union as `addresses`, and a
+ * stability score:
+ *
+ *   stability = batches found / batches × nodes in all of them / nodes seen
+ *
+ * 1 is the same nodes in every state; a list that is re-linked from fresh
+ * objects each time scores low even if it is always there.
  * =============================================================================
  */
 
@@ -47,27 +79,41 @@ const OFFSET_STEP   =    4;
  * (skipStickyPointers=true) or merged back into staticNodes for base-pointer
  * scanning (skipStickyPointers=false).
  *
- * @param {BDRAMScanner} sc  The scanner instance (source of state + config).
+ * @param {BDRAMScanner} sc            The scanner instance (source of state + config).
+ * @param {Map[]}        batchIndexes  From buildBatchIndexes(sc); for the lists' layouts.
  */
-function detectStaticLists(sc) {
+function detectStaticLists(sc, batchIndexes) {
     // The pool is the full set of StaticStatic addresses, sorted ascending
     // so head-node selection is deterministic.
     const pool    = new Set(
         Array.from(sc.staticStaticNodes.keys()).sort((a, b) => a - b)
     );
     const getVal  = addr => sc.staticStaticNodes.get(addr); // batch-independent
-    let   structId = 1;
+    let   structId = sc.structures.length + 1;   // after any static trees
+
+    // Consume detected nodes (valid + ghosts + prev slots) into every batch's
+    // target pool and remove them from the StaticStatic pool so later offsets
+    // don't re-detect the same nodes.
+    const consume = addrs => {
+        for (let b = 0; b < sc.batches.length; b++) {
+            for (const addr of addrs) sc.targetNodes[b].add(addr);
+        }
+        for (const addr of addrs) {
+            pool.delete(addr);
+            sc.staticStaticNodes.delete(addr);
+        }
+    };
 
     console.log(`Detecting static lists from ${pool.size} StaticStatic nodes`);
     for (let offset = OFFSET_MIN; offset <= OFFSET_MAX; offset += OFFSET_STEP) {
 
-        const { chains } = walkChainsAtOffset(pool, offset, getVal, {
+        const { chains, cycles } = walkChainsAtOffset(pool, offset, getVal, {
             minChainLength: sc.minChainLength,
             maxGhostNodes:  sc.maxGhostNodes,
             targetPool:     null            // static detection never creates entry points
         });
 
-        if (chains.length === 0) continue;
+        if (chains.length === 0 && cycles.length === 0) continue;
 
         const resolved = resolveChainConflicts(chains);
 
@@ -75,45 +121,61 @@ function detectStaticLists(sc) {
             if (!chain.isHead) continue;
             if (chain.nodes.length < sc.minChainLength) continue;
 
+            const prev   = _matchPrevOffset(chain.nodes, offset, getVal);
+            const nodes  = prev ? chain.nodes.slice(prev.start) : chain.nodes;
+
             const ghosts = chain.ghosts || [];
-            const stride = _dominantStride(chain.nodes);
+            const stride = _dominantStride(nodes);
 
             sc.structures.push({
                 id:         structId++,
-                type:       'static_list',
-                root:       chain.nodes[0],
-                nodeCount:  chain.nodes.length,
-                validCount: chain.nodes.length,
+                type:       prev ? 'doubly_linked_list' : 'static_list',
+                root:       nodes[0],
+                nodeCount:  nodes.length,
+                validCount: nodes.length,
                 ghostCount: ghosts.length,
                 stride,
-                addresses:  chain.nodes,
+                addresses:  nodes,
                 ghosts,
                 static:     true,
-                buildOffset: offset
+                buildOffset: offset,
+                ...(prev && _doublyFields(offset, prev))
             });
 
-            // Consume all nodes (valid + ghosts) into every batch's target pool
-            // and remove them from the StaticStatic pool so later offsets don't
-            // re-detect the same nodes.
-            const allNodes = [...chain.nodes, ...ghosts];
-            for (let b = 0; b < sc.batches.length; b++) {
-                for (const addr of allNodes) sc.targetNodes[b].add(addr);
-            }
-            for (const addr of allNodes) {
-                pool.delete(addr);
-                sc.staticStaticNodes.delete(addr);
-            }
+            consume([...nodes, ...ghosts, ...(prev ? prev.addresses : [])]);
+        }
+
+        for (const cycle of cycles) {
+            const ring = _ringFields(cycle, offset, getVal);
+            sc.structures.push({
+                id:         structId++,
+                ...ring,
+                validCount: cycle.nodes.length,
+                ghostCount: cycle.ghosts.length,
+                stride:     _dominantStride([...cycle.nodes].sort((a, b) => a - b)),
+                ghosts:     cycle.ghosts,
+                static:     true,
+                buildOffset: offset
+            });
+            consume([...ring.addresses, ...cycle.ghosts, ...(ring.prevAddresses || [])]);
         }
     }
 
-    const count = sc.structures.filter(s => s.type === 'static_list').length;
+    // Trees, tables and pools are static structures too; count only the lists.
+    const listTypes = ['static_list', 'doubly_linked_list', 'circular_list'];
+    const count = sc.structures.filter(s => s.static && listTypes.includes(s.type)).length;
     console.log(`Detected ${count} static lists`);
     // -----------------------------------------------------------------------
     // Stream static achievements and clear them from memory immediately.
     // -----------------------------------------------------------------------
     if (sc.generator) {
-        const staticStructures = sc.structures.filter(s => s.type === 'static_list');
+        // Roots already reported (by the global scan, during group analysis)
+        // are left out.
+        const rootOf = s => s.root || s.addresses?.[0];
+        const staticStructures = sc.structures.filter(s => s.static && !sc.reportedStaticRoots.has(rootOf(s)));
         if (staticStructures.length > 0) {
+            // Layouts carry the class the generator puts in the title
+            inferLayouts(sc, staticStructures, batchIndexes);
             sc.staticStructureCount = staticStructures.length;
             const achievements = sc.generator.generateAchievements(staticStructures);
             sc.staticAchievementCount += achievements.length;
@@ -128,8 +190,9 @@ function detectStaticLists(sc) {
                     `::::BigDonRob:0:::::00000\n`;
             }
             console.log(`Generated ${achievements.length} static achievements`);
-            sc.structures = sc.structures.filter(s => s.type !== 'static_list');
+            for (const s of staticStructures) sc.reportedStaticRoots.add(rootOf(s));
         }
+        sc.structures = sc.structures.filter(s => !s.static);
     }
 
     // -----------------------------------------------------------------------
@@ -187,8 +250,10 @@ function detectDynamicLists(sc) {
                 const vals = sc.staticNodes.get(addr);
                 return vals ? vals[b] : undefined;
             };
+            // Prev slots already claimed by another structure can't pair.
+            const getFree = addr => working.has(addr) ? getVal(addr) : undefined;
 
-            const { chains, entryPoints } = walkChainsAtOffset(
+            const { chains, entryPoints, cycles } = walkChainsAtOffset(
                 working, offset, getVal, {
                     minChainLength: sc.minChainLength,
                     maxGhostNodes:  0,              // no ghosts for dynamic
@@ -201,18 +266,21 @@ function detectDynamicLists(sc) {
 
             for (const chain of resolved) {
                 if (chain.isHead && chain.nodes.length >= sc.minChainLength) {
+                    const prev  = _matchPrevOffset(chain.nodes, offset, getFree);
+                    const nodes = prev ? chain.nodes.slice(prev.start) : chain.nodes;
                     sc.structures.push({
                         id:          sc.structures.length,
-                        type:        'dynamic_list',
-                        root:        chain.nodes[0],
-                        nodeCount:   chain.nodes.length,
+                        type:        prev ? 'doubly_linked_list' : 'dynamic_list',
+                        root:        nodes[0],
+                        nodeCount:   nodes.length,
                         stride:      offset,
-                        addresses:   chain.nodes,
+                        addresses:   nodes,
                         static:      false,
                         buildOffset: offset,
-                        batchIdx:    b
+                        batchIdx:    b,
+                        ...(prev && _doublyFields(offset, prev))
                     });
-                    for (const addr of chain.nodes) {
+                    for (const addr of [...nodes, ...(prev ? prev.addresses : [])]) {
                         sc.targetNodes[b].add(addr);
                         working.delete(addr);
                     }
@@ -222,6 +290,22 @@ function detectDynamicLists(sc) {
                 }
             }
 
+            for (const cycle of cycles) {
+                const ring = _ringFields(cycle, offset, getFree);
+                sc.structures.push({
+                    id:          sc.structures.length,
+                    ...ring,
+                    stride:      offset,
+                    static:      false,
+                    buildOffset: offset,
+                    batchIdx:    b
+                });
+                for (const addr of [...ring.addresses, ...(ring.prevAddresses || [])]) {
+                    sc.targetNodes[b].add(addr);
+                    working.delete(addr);
+                }
+            }
+
             // Chains that reached a target pool become entry points.
             for (const ep of entryPoints) {
                 sc.entryPoints.push({
@@ -240,7 +324,9 @@ function detectDynamicLists(sc) {
         const remaining = batchNodes.map((s, i) => `batch${i}=${s.size}`).join(', ');
     }
 
-    sc.dynamicStructureCount = sc.structures.filter(s => s.type === 'dynamic_list').length;
+    _consolidateDynamicLists(sc);
+
+    sc.dynamicStructureCount = sc.structures.filter(s => !s.static).length;
     sc.entryPointCount       = sc.entryPoints.length;
 }
 
@@ -248,6 +334,175 @@ function detectDynamicLists(sc) {
 // Internal helpers
 // ---------------------------------------------------------------------------
 
+/**
+ * Merge the per-batch dynamic lists (batchIdx) into cross-batch structures;
+ * see "Consolidation" in the module header.
+ *
+ * @param {BDRAMScanner} sc
+ */
+function _consolidateDynamicLists(sc) {
+    const B        = sc.batches.length;
+    const perBatch = sc.structures.filter(s => s.batchIdx !== undefined);
+    if (perBatch.length === 0) return;
+
+    const groups = [];
+    for (const s of perBatch) {
+        const key   = `${s.type}:${s.buildOffset}:${s.prevOffset ?? ''}`;
+        const group = groups.find(g =>
+            g.key === key && !g.members[s.batchIdx] &&
+            (g.roots.has(s.root) || s.addresses.some(addr => g.nodes.has(addr)))
+        );
+        if (group) {
+            group.members[s.batchIdx] = s;
+            group.roots.add(s.root);
+            for (const addr of s.addresses) group.nodes.add(addr);
+        } else {
+            const members = new Array(B).fill(null);
+            members[s.batchIdx] = s;
+            groups.push({ key, members, roots: new Set([s.root]), nodes: new Set(s.addresses) });
+        }
+    }
+
+    const kept = sc.structures.filter(s => s.batchIdx === undefined);
+    // Ids carry on after the structures already kept (hits are matched by id)
+    let nextId = Math.max(0, ...kept.map(s => s.id)) + 1;
+    for (const { members, nodes } of groups) {
+        const present = members.filter(Boolean);
+        const sets    = present.map(m => new Set(m.addresses));
+        const inAll   = [...nodes].filter(addr => sets.every(set => set.has(addr)));
+        const { batchIdx, ...first } = present[0];
+
+        const merged = {
+            ...first,
+            id:           nextId++,
+            nodeCount:    Math.max(...present.map(m => m.nodeCount)),
+            addresses:    [...nodes],
+            nodesByBatch: members.map(m => m ? m.addresses : []),
+            nodeCounts:   members.map(m => m ? m.nodeCount : 0),
+            agreement:    present.length,
+            stability:    (present.length / B) * (inAll.length / nodes.size)
+        };
+        if (first.cycleLength !== undefined) {
+            merged.cycleLength = Math.max(...present.map(m => m.cycleLength));
+        }
+        if (first.prevAddresses) {
+            merged.prevAddresses = [...new Set(present.flatMap(m => m.prevAddresses))];
+            merged.prevByBatch   = members.map(m => m ? m.prevAddresses : []);
+        }
+        kept.push(merged);
+    }
+
+    sc.structures = kept;
+    console.log(`Consolidated ${perBatch.length} per-batch dynamic lists into ${groups.length}`);
+}
+
+/**
+ * Find the offset whose slots point back along a chain walked at nextOffset.
+ *
+ * Chain nodes are next-pointer slots, so node N belongs to the object at
+ * N - nextOffset and that object's prev slot sits at N - nextOffset + p.
+ * For every direct link A → B (ghost gaps are skipped) B's prev slot must
+ * hold A's object address.  Smallest confirming offset wins.
+ *
+ * The first link is allowed to fail: a head found by walkChainsAtOffset can
+ * be a stray pointer into the list rather than a node of it — with next at
+ * 0x0, object 1's prev slot points at object 0's next slot and so looks like
+ * the head.  That node is dropped (`start` = 1) and left to the prev slots.
+ *
+ * @param {number[]} nodes       Chain nodes in walk order.
+ * @param {number}   nextOffset  Offset the chain was walked at.
+ * @param {function} getVal      addr → number|undefined (unclaimed slots only).
+ * @returns {{ offset: number, start: number, addresses: number[] } | null}
+ *          addresses are the confirmed prev slots, one per link from `start`.
+ */
+function _matchPrevOffset(nodes, nextOffset, getVal) {
+    for (let p = OFFSET_MIN; p <= OFFSET_MAX; p += OFFSET_STEP) {
+        if (p === nextOffset) continue;
+
+        const addresses = [];
+        let   start     = 0;
+        let   confirmed = true;
+        for (let i = 1; i < nodes.length && confirmed; i++) {
+            if (getVal(nodes[i - 1]) + nextOffset !== nodes[i]) continue;  // ghost gap
+
+            const prevSlot = nodes[i] - nextOffset + p;
+            confirmed = getVal(prevSlot) + nextOffset === nodes[i - 1];
+            if (confirmed) {
+                addresses.push(prevSlot);
+            } else if (i === 1) {
+                start     = 1;
+                confirmed = true;
+            }
+        }
+
+        if (confirmed && addresses.length > 0) return { offset: p, start, addresses };
+    }
+    return null;
+}
+
+/**
+ * Structure fields for a ring found by walkChainsAtOffset.
+ *
+ * The ring is rotated to its canonical entry: the sentinel when one can be
+ * told apart, otherwise the lowest address.  A sentinel is either the one
+ * node off the stride the others share (a list head embedded in some other
+ * object) or, failing that, the node a lead-in pointer joined the ring at.
+ * Prev offsets are checked across the closing link too.
+ *
+ * @param {{ nodes: number[], ghosts: number[], joinedAt: number|null }} cycle
+ * @param {number}   offset
+ * @param {function} getVal  addr → number|undefined (unclaimed slots only).
+ * @returns {object}
+ */
+function _ringFields(cycle, offset, getVal) {
+    const sentinel = _findSentinel(cycle.nodes) ?? cycle.joinedAt;
+    const entry    = sentinel ?? Math.min(...cycle.nodes);
+    const at       = cycle.nodes.indexOf(entry);
+    const nodes    = [...cycle.nodes.slice(at), ...cycle.nodes.slice(0, at)];
+
+    const prev = _matchPrevOffset([...nodes, nodes[0]], offset, getVal);
+
+    return {
+        type:        'circular_list',
+        root:        entry,
+        nodeCount:   nodes.length,
+        addresses:   nodes,
+        cycleLength: nodes.length + cycle.ghosts.length,
+        sentinel,
+        ...(prev && prev.start === 0 && _doublyFields(offset, prev))
+    };
+}
+
+/**
+ * The single ring node whose address breaks the stride shared by the rest,
+ * or null if there isn't exactly one.
+ *
+ * @param {number[]} nodes
+ * @returns {number|null}
+ */
+function _findSentinel(nodes) {
+    if (nodes.length < 3) return null;
+
+    const sorted = [...nodes].sort((a, b) => a - b);
+    const stride = _dominantStride(sorted);
+    const last   = sorted.length - 1;
+
+    const odd = sorted.filter((addr, i) =>
+        (i === 0    || addr - sorted[i - 1] !== stride) &&
+        (i === last || sorted[i + 1] - addr !== stride)
+    );
+    return odd.length === 1 ? odd[0] : null;
+}
+
+/** Structure fields describing a doubly linked pair. */
+function _doublyFields(nextOffset, prev) {
+    return {
+        nextOffset,
+        prevOffset:    prev.offset,
+        prevAddresses: prev.addresses
+    };
+}
+
 /**
  * Return the most frequently occurring gap between consecutive node addresses.
  * Falls back to 4 for single-node chains.
@@ -0,0 +1,416 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Logic Evaluator
+ *
+ * Offline check of generated achievement logic against the loaded states.
+ * Parses the condition syntax AchievementGenerator emits and replays every
+ * AddAddress / Remember chain in each batch, so achievements whose pointer
+ * chains fall apart in some state can be flagged or pruned before download
+ * instead of being found out in the emulator.
+ *
+ *   1. LogicEvaluator.parse(logic)
+ *      Logic string → groups (core + alts) of conditions.
+ *
+ *   2. evaluator.resolve(logic)
+ *      Walk every condition in every batch.  A memory reference must land
+ *      inside the system's RAM; a value that feeds an I: / K: chain must be a
+ *      pointer the state actually holds.
+ *
+ *   3. evaluator.checkExport(text, mode)
+ *      Resolve every achievement line of an exported .txt and flag
+ *      (mode 'flag') or drop (mode 'prune') the unresolved ones.
+ *      LogicEvaluator.checkTexts() does this for a whole scan's outputs.
+ *
+ * Supported syntax — what the generator writes, plus the common neighbours:
+ *   flags       I: AddAddress   K: Remember   O: OrNext   (others parsed, no effect)
+ *   groups      S starts an alt group
+ *   operands    0xX 32-bit, 0xW 24-bit, 0xG 32-bit BE, 0xH 8-bit, 0x 16-bit,
+ *               d delta / p prior prefixes, {recall}, h<hex> and decimal constants
+ *   modifiers   & * / ^ % + - on I: / K: (e.g. the system mask)
+ *
+ * The generator writes masks as `&0x1FFFFFFF`.  Strictly that right-hand side
+ * is a 16-bit memory read, but it is meant as a constant and is parsed as one
+ * wherever it follows a modifier (& * / ^ % + -).
+ *
+ * Memory model: a snapshot is the batch's address → value pool, i.e. the
+ * pointer-valued words of that state.  Words outside the pool are unknown —
+ * fine for a compared value, fatal for a pointer being followed.  Values are
+ * stored as the system reads them (big-endian for GameCube / Wii), so a read
+ * in the other byte order is swapped.
+ *
+ * Addresses are compared the way RA sees them.  The generator writes roots
+ * and static addresses raw (0xG80001000) but masks or 24-bit-reads every
+ * pointer it follows, so literal addresses and snapshot keys go through the
+ * system's conversion (see getAddressConverter) before they are range-checked
+ * or looked up.
+ * =============================================================================
+ */
+
+class LogicEvaluator {
+
+    static COMPARISONS = new Set(['=', '!=', '<', '<=', '>', '>=']);
+
+    /**
+     * @param {string}                systemId
+     * @param {Map<number, number>[]} snapshots     One address → value map per batch
+     *                                              (buildSnapshot with the same
+     *                                              systemId).
+     * @param {number[]|null}         stateNumbers  What each snapshot is called in
+     *                                              descriptions (default: 1, 2, …).
+     */
+    constructor(systemId, snapshots, stateNumbers = null) {
+        this.systemId     = systemId;
+        this.snapshots    = snapshots;
+        this.stateNumbers = stateNumbers;
+        this.bigEndian    = Config.isBigEndian(systemId);
+        this.ranges       = LogicEvaluator.getValidRanges(systemId);
+        this.toRam        = LogicEvaluator.getAddressConverter(systemId);
+    }
+
+    // =========================================================================
+    // Public API
+    // =========================================================================
+
+    /**
+     * Snapshot for one batch from parallel address / value arrays.  Keys are
+     * converted for `systemId` (see getAddressConverter) so they match the
+     * addresses the evaluator looks up; values are kept raw.
+     */
+    static buildSnapshot(addresses, values, systemId = null) {
+        const toRam    = this.getAddressConverter(systemId);
+        const snapshot = new Map();
+        for (let i = 0; i < addresses.length; i++) snapshot.set(toRam(addresses[i]), values[i] >>> 0);
+        return snapshot;
+    }
+
+    /**
+     * The conversion the generated chains apply to a pointer (24-bit read or
+     * system mask), as a function of one address.  Identity for unknown
+     * systems and systems with neither.
+     * @returns {(address: number) => number}
+     */
+    static getAddressConverter(systemId) {
+        const cfg = Config.getSystemConfig(systemId);
+        if (cfg?.use24Bit)            return v => (v & 0xFFFFFF) >>> 0;
+        if (cfg && cfg.mask !== null) return v => (v & cfg.mask) >>> 0;
+        return v => v >>> 0;
+    }
+
+    /**
+     * RAM as the achievement sees it: the system's pointer ranges run through
+     * getAddressConverter().
+     * @returns {{ min: number, max: number }[]}
+     */
+    static getValidRanges(systemId) {
+        const cfg = Config.getSystemConfig(systemId);
+        if (!cfg) return [{ min: 0, max: 0xFFFFFFFF }];
+
+        const convert = this.getAddressConverter(systemId);
+        const ranges  = Array.isArray(cfg.memoryRange) ? cfg.memoryRange : [cfg.memoryRange];
+        return ranges.map(r => ({ min: convert(r.min), max: convert(r.max) }));
+    }
+
+    /**
+     * Parse a logic string into condition groups.  Group 0 is the core;
+     * each `S` starts a new alt group.
+     *
+     * Condition shape:
+     * {
+     *   flag     : 'I' | 'K' | 'O' | … | null,
+     *   left     : Operand,
+     *   op       : '=' | '!=' | '<' | '<=' | '>' | '>=' | '&' | '*' | … | null,
+     *   right    : Operand | null,
+     *   text     : original condition text
+     * }
+     * Operand: { type: 'mem', size, address, prefix } | { type: 'const', value } | { type: 'recall' }
+     *
+     * @param   {string} logic
+     * @returns {object[][]}
+     */
+    static parse(logic) {
+        const groups = [[]];
+
+        for (let token of logic.split('_')) {
+            if (token === '') continue;
+            if (token[0] === 'S') {
+                groups.push([]);
+                token = token.slice(1);
+                if (token === '') continue;
+            }
+            groups[groups.length - 1].push(this._parseCondition(token));
+        }
+
+        return groups;
+    }
+
+    /**
+     * Resolve a logic string in every batch.
+     *
+     * @param   {string} logic
+     * @returns {{ batch: number, group: number, condition: number, reason: string }[]}
+     *          Problems found; empty when every chain resolves in every batch.
+     */
+    resolve(logic) {
+        const groups   = LogicEvaluator.parse(logic);
+        const problems = [];
+
+        for (let b = 0; b < this.snapshots.length; b++) {
+            groups.forEach((group, g) => {
+                const problem = this._resolveGroup(group, this.snapshots[b]);
+                if (problem) problems.push({ batch: b, group: g, ...problem });
+            });
+        }
+
+        return problems;
+    }
+
+    /**
+     * Check every achievement line of an exported .txt.  Comment and blank
+     * lines pass through untouched.
+     *
+     * @param   {string}            text
+     * @param   {'flag' | 'prune'}  mode  flag: append UNRESOLVED to the title
+     *                                    and name the failing states; prune: drop.
+     * @returns {{ text: string, checked: number, unresolved: number }}
+     */
+    checkExport(text, mode = 'flag') {
+        const out = [];
+        let checked = 0, unresolved = 0;
+
+        for (const line of text.split('\n')) {
+            const m = /^(\d+):"([^"]*)":([^:]*):([^:]*)(:.*)$/.exec(line);
+            if (!m) { out.push(line); continue; }
+
+            checked++;
+            let problems;
+            try {
+                problems = this.resolve(m[2]);
+            } catch (err) {
+                problems = [{ batch: -1, reason: err.message }];
+            }
+            if (problems.length === 0) { out.push(line); continue; }
+
+            unresolved++;
+            if (mode === 'prune') continue;
+
+            const states = [...new Set(problems.map(p => p.batch))]
+                .map(b => (b < 0 ? 'unparseable' : `state ${this.stateNumbers?.[b] ?? b + 1}`));
+            out.push(`${m[1]}:"${m[2]}":${m[3]} UNRESOLVED:${m[4]} (breaks in ${states.join(', ')})${m[5]}`);
+        }
+
+        return { text: out.join('\n'), checked, unresolved };
+    }
+
+    /**
+     * Check several exported texts against the given batches in one go —
+     * what the page and the CLI both do with a finished scan.
+     *
+     * @param   {string}                     systemId
+     * @param   {{ addresses, values }[]}    batchData  Per-batch validated arrays.
+     * @param   {Object<string, string|null>} texts     e.g. { txtContent, staticContent }
+     * @param   {'flag' | 'prune'}           mode
+     * @param   {number[]|null}              stateNumbers  See the constructor.
+     * @returns {{ texts: Object<string, string|null>, logicCheck: { mode, checked, unresolved } }}
+     */
+    static checkTexts(systemId, batchData, texts, mode = 'flag', stateNumbers = null) {
+        const evaluator  = new LogicEvaluator(
+            systemId, batchData.map(d => this.buildSnapshot(d.addresses, d.values, systemId)), stateNumbers
+        );
+        const logicCheck = { mode, checked: 0, unresolved: 0 };
+        const out        = {};
+
+        for (const [key, text] of Object.entries(texts)) {
+            if (!text) { out[key] = text; continue; }
+            const r = evaluator.checkExport(text, mode);
+            logicCheck.checked    += r.checked;
+            logicCheck.unresolved += r.unresolved;
+            out[key] = r.text;
+        }
+
+        return { texts: out, logicCheck };
+    }
+
+    // =========================================================================
+    // Internal helpers
+    // =========================================================================
+
+    /**
+     * Walk one group in one snapshot.  Returns the first problem, or null.
+     *
+     * I: sets the address added to the next condition's memory references
+     * (the I: condition's own references already include the previous one, so
+     * the value replaces rather than accumulates).  Any other condition ends
+     * the chain.  K: stores its value for {recall}.
+     */
+    _resolveGroup(group, snapshot) {
+        let addAddress = 0;
+        let recall     = null;
+
+        for (let c = 0; c < group.length; c++) {
+            const cond = group[c];
+
+            // Every memory reference must land in RAM
+            for (const operand of [cond.left, cond.right]) {
+                if (operand?.type !== 'mem') continue;
+                const address = this._address(operand, addAddress);
+                if (!this._isValidAddress(address)) {
+                    return { condition: c, reason: `0x${address.toString(16)} is outside memory` };
+                }
+            }
+
+            if (cond.flag === 'I' || cond.flag === 'K') {
+                if (cond.left.type === 'recall' && recall === null) {
+                    return { condition: c, reason: `${cond.text}: {recall} before K:` };
+                }
+                let value = this._value(cond.left, addAddress, snapshot, recall);
+                if (value === null) {
+                    return { condition: c, reason: `${cond.text}: no pointer at this address` };
+                }
+                if (cond.op && cond.right) {
+                    const rhs = this._value(cond.right, addAddress, snapshot, recall);
+                    if (rhs === null) return { condition: c, reason: `${cond.text}: unknown modifier` };
+                    value = this._applyModifier(value, cond.op, rhs);
+                }
+
+                if (cond.flag === 'I') {
+                    addAddress = value;
+                } else {
+                    recall     = value;
+                    addAddress = 0;
+                }
+                continue;
+            }
+
+            if ((cond.left?.type === 'recall' || cond.right?.type === 'recall') && recall === null) {
+                return { condition: c, reason: `${cond.text}: {recall} before K:` };
+            }
+            addAddress = 0;
+        }
+
+        return null;
+    }
+
+    /**
+     * Value of an operand.  Memory reads go through the snapshot and return
+     * null when the state doesn't hold that word.
+     */
+    _value(operand, addAddress, snapshot, recall) {
+        switch (operand.type) {
+            case 'const':  return operand.value;
+            case 'recall': return recall;
+        }
+
+        if (operand.prefix === '~') return null;
+
+        const word = snapshot.get(this._address(operand, addAddress));
+        if (word === undefined) return null;
+
+        // Stored words are in the system's own byte order
+        const le = this.bigEndian ? LogicEvaluator._swap32(word) : word;
+        const be = this.bigEndian ? word : LogicEvaluator._swap32(word);
+
+        switch (operand.size) {
+            case 'X': return le;
+            case 'G': return be;
+            case 'W': return (le & 0xFFFFFF) >>> 0;
+            case 'J': return be >>> 8;
+            case 'I': return be >>> 16;
+            case '':  return le & 0xFFFF;
+            case 'H': return le & 0xFF;
+            default:  return null;   // bit / nibble reads never carry pointers
+        }
+    }
+
+    /**
+     * Address a memory operand reads.  A literal address (a root or a static
+     * check) is converted the way RA reads it; inside a chain the added
+     * pointer has already been converted by the chain's own read or mask, so
+     * the sum is used as is and may run past RAM.
+     */
+    _address(operand, addAddress) {
+        return addAddress ? (operand.address + addAddress) >>> 0 : this.toRam(operand.address);
+    }
+
+    _applyModifier(value, op, rhs) {
+        switch (op) {
+            case '&': return (value & rhs) >>> 0;
+            case '^': return (value ^ rhs) >>> 0;
+            case '*': return Math.imul(value, rhs) >>> 0;
+            case '/': return rhs === 0 ? 0 : Math.floor(value / rhs) >>> 0;
+            case '%': return rhs === 0 ? 0 : (value % rhs) >>> 0;
+            case '+': return (value + rhs) >>> 0;
+            case '-': return (value - rhs) >>> 0;
+            default:  return value;   // comparison on an I: / K: — no effect on the value
+        }
+    }
+
+    _isValidAddress(address) {
+        return this.ranges.some(r => address >= r.min && address <= r.max);
+    }
+
+    static _parseCondition(token) {
+        const text = token;
+        let flag   = null;
+
+        const flagMatch = /^([A-Z]):/.exec(token);
+        if (flagMatch) {
+            flag  = flagMatch[1];
+            token = token.slice(2);
+        }
+
+        // Drop a trailing hit target, e.g. ".10."
+        token = token.replace(/\.\d+\.$/, '');
+
+        const left = this._parseOperand(token);
+        if (!left) {
+            throw CoreUtils.createError(`Cannot parse condition "${text}"`, 'LogicEvaluator.parse');
+        }
+
+        let rest = token.slice(left.length);
+        if (rest === '') return { flag, left: left.operand, op: null, right: null, text };
+
+        const opMatch = /^(!=|<=|>=|=|<|>|&|\*|\/|\^|%|\+|-)/.exec(rest);
+        if (!opMatch) {
+            throw CoreUtils.createError(`Cannot parse condition "${text}"`, 'LogicEvaluator.parse');
+        }
+        rest = rest.slice(opMatch[1].length);
+
+        const right = this._parseOperand(rest);
+        if (!right || right.length !== rest.length) {
+            throw CoreUtils.createError(`Cannot parse condition "${text}"`, 'LogicEvaluator.parse');
+        }
+
+        // Generator masks (`&0x1FFFFFFF`) are constants, not 16-bit reads
+        let rightOperand = right.operand;
+        if (!this.COMPARISONS.has(opMatch[1]) && rightOperand.type === 'mem' && rightOperand.size === '') {
+            rightOperand = { type: 'const', value: rightOperand.address };
+        }
+
+        return { flag, left: left.operand, op: opMatch[1], right: rightOperand, text };
+    }
+
+    /** Parse one operand at the start of `s`; returns { operand, length } or null. */
+    static _parseOperand(s) {
+        if (s.startsWith('{recall}')) return { operand: { type: 'recall' }, length: 8 };
+
+        let m = /^([dpb~]?)0x([MNOPQRSTLUHWXIJGK]?)([0-9a-fA-F]+)/.exec(s);
+        if (m) {
+            return {
+                operand: { type: 'mem', prefix: m[1], size: m[2].toUpperCase(), address: parseInt(m[3], 16) >>> 0 },
+                length:  m[0].length
+            };
+        }
+
+        m = /^h([0-9a-fA-F]+)/.exec(s);
+        if (m) return { operand: { type: 'const', value: parseInt(m[1], 16) >>> 0 }, length: m[0].length };
+
+        m = /^-?\d+/.exec(s);
+        if (m) return { operand: { type: 'const', value: parseInt(m[0], 10) >>> 0 }, length: m[0].length };
+
+        return null;
+    }
+
+    static _swap32(v) {
+        return (((v & 0xFF) << 24) | ((v & 0xFF00) << 8) | ((v >>> 8) & 0xFF00) | (v >>> 24)) >>> 0;
+    }
+}
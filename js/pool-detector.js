@@ -0,0 +1,197 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Pool Detector
+ *
+ * Finds object pools: fixed arrays of same-sized slots that the game fills
+ * and empties as things spawn and despawn.  A free slot's pointer fields are
+ * null, so they drop out of that state's pointer search — the fields of a
+ * pool show up as DynamicNodes, present in some batches and not others.
+ *
+ * Model
+ * -----
+ * Every address gets a presence mask (bit b set = present in batch b).  The
+ * non-static addresses are clustered (gaps up to POOL_GAP_MAX), and each
+ * cluster is tried against the slot sizes its addresses are most often
+ * spaced by.  For a slot size S, the fields are the offsets within a slot
+ * (address mod S) that occur in at least a quarter of the slots, and the
+ * fill is how much of the slot × field grid is ever present:
+ *
+ *   fill = addresses on the grid / (slots × fields)
+ *
+ * A slot size twice the real one doubles the fields and halves the slots,
+ * so its fill is no better; the smallest size within POOL_FILL_SLACK of the
+ * best wins.  A pool needs a fill of at least POOL_MIN_FILL, minPoolSlots
+ * slots, and its slots' fields must come and go together (a slot is active
+ * in a batch if any of its fields is present there), while the slots
+ * themselves must not all be active in the same batches.  Slots in use in
+ * every batch are static, so the pool is extended over them afterwards.
+ *
+ * Pools sit at fixed addresses and are reported with the static structures.
+ * Nothing is consumed: a pool slot is often also a node of a dynamic list
+ * (an active-object list threaded through the pool), and that list should
+ * still be found.
+ * =============================================================================
+ */
+
+'use strict';
+
+const POOL_STRIDE_MIN = 8;        // smallest slot size
+const POOL_STRIDE_MAX = 0x400;    // largest slot size
+const POOL_GAP_MAX    = 0x800;    // widest hole inside a pool (free slots)
+const POOL_LOOKAHEAD  = 16;       // neighbours compared per address for slot size candidates
+const POOL_MIN_FILL   = 0.5;
+const POOL_FILL_SLACK = 0.9;
+
+/**
+ * Detect object pools and add them to scanner.structures.
+ *
+ * @param {BDRAMScanner} sc
+ */
+function detectObjectPools(sc) {
+    const B    = sc.batches.length;
+    const full = (1 << B) - 1;
+
+    const masks = new Map();   // addr → presence mask
+    for (let b = 0; b < B; b++) {
+        for (const addr of sc.batches[b].addresses) masks.set(addr, (masks.get(addr) || 0) | (1 << b));
+    }
+    const dynamic = [...masks.keys()].filter(addr => masks.get(addr) !== full).sort((a, b) => a - b);
+
+    let count = 0;
+    for (let i = 0; i < dynamic.length; ) {
+        let j = i + 1;
+        while (j < dynamic.length && dynamic[j] - dynamic[j - 1] <= POOL_GAP_MAX) j++;
+
+        const cluster = dynamic.slice(i, j);
+        const pool    = cluster.length >= sc.minPoolSlots && _fitPool(cluster, masks, sc.minPoolSlots);
+        if (pool) {
+            const occupancy = [];
+            for (let b = 0; b < B; b++) {
+                occupancy.push(pool.slotMasks.filter(m => m & (1 << b)).length);
+            }
+
+            sc.structures.push({
+                id:           sc.structures.length + 1,
+                type:         'object_pool',
+                root:         pool.base,
+                nodeCount:    pool.slotMasks.length,
+                validCount:   pool.slotMasks.length,
+                ghostCount:   0,
+                slotSize:     pool.slotSize,
+                slotCount:    pool.slotMasks.length,
+                fieldOffsets: pool.fields,
+                keyOffset:    pool.keyOffset,
+                slotMasks:    pool.slotMasks,
+                occupancy,
+                stride:       pool.slotSize,
+                addresses:    pool.slotMasks.map((_, s) => pool.base + s * pool.slotSize + pool.keyOffset),
+                ghosts:       [],
+                static:       true,
+                buildOffset:  0
+            });
+            count++;
+        }
+        i = j;
+    }
+
+    console.log(`Detected ${count} object pools`);
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Best slot layout for a cluster of DynamicNode addresses, or null.
+ *
+ * @param {number[]}            cluster  Sorted addresses.
+ * @param {Map<number,number>}  masks    addr → presence mask (all addresses).
+ * @param {number}              minSlots
+ * @returns {{ base: number, slotSize: number, fields: number[], keyOffset: number, slotMasks: number[] } | null}
+ *          fields / keyOffset are offsets from each slot's base.
+ */
+function _fitPool(cluster, masks, minSlots) {
+    const base = cluster[0];
+    const span = cluster[cluster.length - 1] - base;
+
+    const layouts = [];
+    for (const slotSize of _slotSizeCandidates(cluster)) {
+        const slots = Math.floor(span / slotSize) + 1;
+        if (slots < minSlots) continue;
+
+        const perField = new Map();   // offset in slot → addresses on it
+        for (const addr of cluster) {
+            const off = (addr - base) % slotSize;
+            perField.set(off, (perField.get(off) || 0) + 1);
+        }
+        const fields = [...perField.keys()]
+            .filter(off => perField.get(off) * 4 >= slots)
+            .sort((a, b) => a - b);
+        if (fields.length === 0) continue;
+
+        const onGrid = fields.reduce((n, off) => n + perField.get(off), 0);
+        layouts.push({ slotSize, slots, fields, fill: onGrid / (slots * fields.length) });
+    }
+    if (layouts.length === 0) return null;
+
+    const bestFill = Math.max(...layouts.map(l => l.fill));
+    if (bestFill < POOL_MIN_FILL) return null;
+    const { slotSize, slots, fields } = layouts
+        .filter(l => l.fill >= bestFill * POOL_FILL_SLACK)
+        .reduce((a, b) => b.slotSize < a.slotSize ? b : a);
+
+    // Slots in use in every batch aren't in the cluster; take them back in
+    // at either end.
+    const inUse = slotBase => fields.some(off => masks.has(slotBase + off));
+    let first = base, last = base + (slots - 1) * slotSize;
+    while (inUse(first - slotSize)) first -= slotSize;
+    while (inUse(last + slotSize))  last  += slotSize;
+
+    // Per slot: when is it active, and do its fields agree on that?
+    const slotMasks = [];
+    const presence  = new Map(fields.map(off => [off, 0]));
+    let   coherent  = 0;
+    for (let slotBase = first; slotBase <= last; slotBase += slotSize) {
+        const fieldMasks = fields.map(off => masks.get(slotBase + off) || 0);
+        const present    = fieldMasks.filter(m => m !== 0);
+        if (present.every(m => m === present[0])) coherent++;
+
+        fields.forEach((off, k) => presence.set(off, presence.get(off) + _popCount(fieldMasks[k])));
+        slotMasks.push(fieldMasks.reduce((a, m) => a | m, 0));
+    }
+    if (coherent * 2 < slotMasks.length) return null;
+
+    // Slots that all come and go together are one object, not a pool.
+    if (new Set(slotMasks.filter(m => m !== 0)).size < 2) return null;
+
+    // Watch the field that is present most often.
+    const keyOffset = fields.reduce((a, b) => presence.get(b) > presence.get(a) ? b : a);
+
+    return { base: first, slotSize, fields, keyOffset, slotMasks };
+}
+
+/**
+ * Slot sizes to try: the distances most often seen between an address and
+ * its next few neighbours.
+ *
+ * @param {number[]} cluster  Sorted addresses.
+ * @returns {number[]}
+ */
+function _slotSizeCandidates(cluster) {
+    const freq = new Map();
+    for (let i = 0; i < cluster.length; i++) {
+        for (let j = i + 1; j <= i + POOL_LOOKAHEAD && j < cluster.length; j++) {
+            const d = cluster[j] - cluster[i];
+            if (d > POOL_STRIDE_MAX) break;
+            if (d >= POOL_STRIDE_MIN) freq.set(d, (freq.get(d) || 0) + 1);
+        }
+    }
+    return [...freq].sort((x, y) => y[1] - x[1]).slice(0, 8).map(([d]) => d);
+}
+
+/** Number of batches set in a presence mask. */
+function _popCount(mask) {
+    let n = 0;
+    for (; mask; mask &= mask - 1) n++;
+    return n;
+}
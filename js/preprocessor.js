@@ -3,8 +3,14 @@
  * BDRAM Scanner - Preprocessor
  *
  * Manages the unified Node pool across uploaded batches and produces:
- *   - Per-range StaticNode / StaticStatic counts for the UI
+ *   - Per-range StaticNode / StaticStatic counts for the UI, with the
+ *     exclusion zones counted apart (see Config range layouts)
+ *   - A density histogram of those over the address space, and tight scan
+ *     ranges proposed around its dense clusters
  *   - Soft recommendations for SkipSticky and range awareness
+ *   - Pairwise contrast between states, to catch near-duplicate uploads
+ *   - A per-batch table of what the ingest filters removed, and why
+ *   - A class catalogue: anchor values as vtables, with their instances
  *   - Pre-sized classified arrays ready for the scanner to consume
  *
  * Data model
@@ -17,16 +23,44 @@
  *
  * Classification (computed on demand, never stored separately):
  *
- *   StaticStatic — unique non-zero count === 1
+ *   StaticStatic — present in a quorum of batches, one unique value
  *                  Same address, same value in every batch it appears.
  *                  Contains static structures AND base ptrs that didn't move.
  *
- *   StaticNode   — unique non-zero count > 1, zero count === 0
- *                  Same address in ALL batches, values differ.
+ *   StaticNode   — present in a quorum of batches, values differ
+ *                  Same address in (nearly) every batch, values differ.
  *                  High probability base pointer.
  *
- *   DynamicNode  — at least one zero slot
- *                  Address missing from one or more batches.
+ *   DynamicNode  — present in fewer batches than the quorum
+ *                  Address missing from too many batches.
+ *
+ * The quorum is every batch unless setQuorum() lowers it, so that one odd
+ * state (a loading screen) doesn't turn every StaticNode it lacks into a
+ * DynamicNode.
+ *
+ * Ingest filters
+ * --------------
+ * addBatch() drops two kinds of entry before they reach the pool:
+ *
+ *   anchor    — the value is pointed at by more than filters.anchorReferrers
+ *               addresses in the batch (a VTable or other shared anchor)
+ *   proximity — the value lands within filters.proximityBefore bytes before
+ *               or filters.proximityAfter bytes after its own address (a
+ *               self-referential artefact)
+ *
+ * Dropped entries are kept in this.removed[batch] with their reason, so a
+ * missing base pointer can be traced to the filter that ate it.  Addresses in
+ * filters.readmitted skip both filters.  Filters apply as batches are added;
+ * changing them means adding the batches again.
+ *
+ * Classes
+ * -------
+ * An anchor is usually a C++ vtable, so every address pointing at one is the
+ * vtable slot of an object of that class.  getClassCatalogue() lists them;
+ * collapse() hands the instances to the scanner (classInstances) so the
+ * structures built from them can be labelled with their class.  A value only
+ * has to be an anchor in one batch; its instances are counted in every batch,
+ * kept or removed.
  *
  * On Process:
  *   1. Apply system mask to all non-zero values in-memory.
@@ -45,8 +79,24 @@ class Preprocessor {
         // address (number) → Int32Array(maxBatches) of unmasked validated values
         this.nodeMap = new Map();
 
+        // Batches an address must be present in to be static (0 = all)
+        this.quorum = 0;
+
+        // User-defined scan ranges / exclusion zones (null = the system's)
+        this.rangeLayout = null;
+
+        // StaticStatics are base pointers only with Skip Sticky off
+        this.skipSticky = true;
+
+        // Ingest filter settings (see header) and what they removed, per batch:
+        // { addresses: number[], values: number[], reasons: string[] }
+        this.filters = { ...Config.getFilterDefaults(null), readmitted: [] };
+        this.removed = [];
+
         // Cached counts — invalidated whenever the pool changes
-        this._countsCache = null;
+        this._countsCache   = null;
+        this._contrastCache = null;
+        this._classCache    = null;
     }
 
     // =========================================================================
@@ -61,7 +111,10 @@ class Preprocessor {
         this.systemId   = null;
         this.batchCount = 0;
         this.nodeMap.clear();
-        this._countsCache = null;
+        this.removed      = [];
+        this._countsCache   = null;
+        this._contrastCache = null;
+        this._classCache    = null;
         console.log('Preprocessor: reset');
     }
 
@@ -80,6 +133,46 @@ class Preprocessor {
         }
     }
 
+    /**
+     * Set how many batches an address must be present in to count as a
+     * StaticStatic or StaticNode (0 = all of them).  Kept across reset().
+     */
+    setQuorum(quorum) {
+        this.quorum       = quorum;
+        this._countsCache = null;
+    }
+
+    /**
+     * Set the range layout the counts are broken down by: { ranges,
+     * exclusions } as Config.getRanges() takes it, or null for the system's
+     * own.  Kept across reset().
+     */
+    setRangeLayout(layout) {
+        this.rangeLayout  = layout;
+        this._countsCache = null;
+    }
+
+    /**
+     * Set whether the scan will skip StaticStatics (Skip Sticky Pointers), so
+     * suggested ranges are weighted by the nodes it will actually start from.
+     * Kept across reset().
+     */
+    setSkipSticky(skip) {
+        this.skipSticky   = !!skip;
+        this._countsCache = null;
+    }
+
+    /**
+     * Set the ingest filters for batches added from now on.  Kept across
+     * reset(); any field left out keeps its current value.
+     *
+     * filters: { anchorReferrers, proximityBefore, proximityAfter,
+     *            readmitted: number[] }   (see the module header)
+     */
+    setFilters(filters) {
+        this.filters = { ...this.filters, ...filters };
+    }
+
     /**
      * Add a parsed and validated batch to the node pool.
      *
@@ -101,11 +194,14 @@ class Preprocessor {
         // -----------------------------------------------------------------
         // Pass 1 — VTable anchor removal (per-batch, no masking needed).
         //
-        // A value that appears as the target of more than 10 different
-        // addresses within this single batch is almost certainly a VTable
-        // or other shared anchor rather than a meaningful pointer.  We
-        // collect the frequency map first, then build a keep-set.
+        // A value that appears as the target of more than anchorReferrers
+        // different addresses within this single batch is almost certainly
+        // a VTable or other shared anchor rather than a meaningful pointer.
+        // We collect the frequency map first, then build a keep-set.
         // -----------------------------------------------------------------
+        const { anchorReferrers, proximityBefore, proximityAfter } = this.filters;
+        const readmitted = new Set(this.filters.readmitted);
+
         const valueFreq = new Map();
         for (let i = 0; i < values.length; i++) {
             const v = values[i];
@@ -114,16 +210,25 @@ class Preprocessor {
 
         const vtableValues = new Set();
         for (const [v, count] of valueFreq) {
-            if (count > 10) vtableValues.add(v);
+            if (anchorReferrers > 0 && count > anchorReferrers) vtableValues.add(v);
         }
 
         // -----------------------------------------------------------------
         // Pass 2 — Close proximity removal.
         //
-        // Nodes where (address − maskedValue) falls in the range (-44, 4]
-        // are self-referential artefacts.  The mask is applied temporarily
-        // for the check only; the unmasked value is what gets stored.
+        // Nodes where (address − maskedValue) falls in the range
+        // [-proximityAfter, proximityBefore] are self-referential artefacts.
+        // The mask is applied temporarily for the check only; the unmasked
+        // value is what gets stored.
+        //
+        // Both passes skip readmitted addresses and record what they drop.
         // -----------------------------------------------------------------
+        const removed = { addresses: [], values: [], reasons: [] };
+        const drop = (addr, val, reason) => {
+            removed.addresses.push(addr);
+            removed.values.push(val);
+            removed.reasons.push(reason);
+        };
         let removedVtable    = 0;
         let removedProximity = 0;
 
@@ -131,13 +236,19 @@ class Preprocessor {
             const addr = addresses[i];
             const val  = values[i];   // unmasked
 
-            // VTable anchor check
-            if (vtableValues.has(val)) { removedVtable++; continue; }
-
-            // Close proximity check — use masked value for the distance test
-            const maskedVal = (mask !== null) ? (val & mask) >>> 0 : val;
-            const diff      = addr - maskedVal;
-            if (diff >= -44 && diff <= 4) { removedProximity++; continue; }
+            if (!readmitted.has(addr)) {
+                // VTable anchor check
+                if (vtableValues.has(val)) { removedVtable++; drop(addr, val, 'anchor'); continue; }
+
+                // Close proximity check — use masked value for the distance test
+                const maskedVal = (mask !== null) ? (val & mask) >>> 0 : val;
+                const diff      = addr - maskedVal;
+                if (diff >= -proximityAfter && diff <= proximityBefore) {
+                    removedProximity++;
+                    drop(addr, val, 'proximity');
+                    continue;
+                }
+            }
 
             // Node passes both filters — store unmasked
             if (!this.nodeMap.has(addr)) {
@@ -149,8 +260,11 @@ class Preprocessor {
             }
         }
 
+        this.removed[batchIndex] = removed;
         this.batchCount++;
-        this._countsCache = null;
+        this._countsCache   = null;
+        this._contrastCache = null;
+        this._classCache    = null;
 
         console.log(
             `Preprocessor: batch ${batchIndex} added — ` +
@@ -195,9 +309,12 @@ class Preprocessor {
         }
 
         for (const addr of toDelete) this.nodeMap.delete(addr);
+        this.removed.splice(batchIndex, 1);
 
         this.batchCount = newCount;
-        this._countsCache = null;
+        this._countsCache   = null;
+        this._contrastCache = null;
+        this._classCache    = null;
 
         console.log(
             `Preprocessor: batch ${batchIndex} removed — ` +
@@ -223,25 +340,36 @@ class Preprocessor {
      *       staticNodes: number, staticStatics: number }
      *     ...
      *   ],
+     *   exclusions: [ same shape ],   // nodes here are left out of ranges
+     *   density: {
+     *     buckets     : [{ min, max, staticNodes, staticStatics }],
+     *     suggestions : [{ label, min, max, staticNodes, staticStatics,
+     *                      share }]   // share of the histogram's nodes
+     *   },
      *   recommendation : {
      *     skipSticky       : boolean,
      *     activeRangeIndex : number,   // always 0 (Range 1 is default)
      *     warning          : string|null
-     *   }
+     *   },
+     *   filtered : [{ anchor: number, proximity: number }]   // removed, per batch
      * }
      */
     getCounts() {
         if (this._countsCache) return this._countsCache;
 
         const systemId   = this.systemId || 'n64';
-        const ranges     = Config.getRanges(systemId);
-        const rangeCounts = ranges.map(r => ({
+        const ranges     = Config.getRanges(systemId, this.rangeLayout);
+        const exclusions = Config.getExclusions(systemId, this.rangeLayout);
+        const tally = r => ({
             label:         r.label,
             min:           r.min,
             max:           r.max,
             staticNodes:   0,
             staticStatics: 0
-        }));
+        });
+        const rangeCounts     = ranges.map(tally);
+        const exclusionCounts = exclusions.map(tally);
+        const density         = this._densityBuckets(systemId);
 
         let totalStaticStatics = 0;
         let totalStaticNodes   = 0;
@@ -254,10 +382,20 @@ class Preprocessor {
             else if (cls === 'staticNode')   totalStaticNodes++;
             else                             totalDynamic++;
 
-            const ri = this._getRangeIndex(ranges, addr);
-            if (ri >= 0) {
-                if      (cls === 'staticStatic') rangeCounts[ri].staticStatics++;
-                else if (cls === 'staticNode')   rangeCounts[ri].staticNodes++;
+            const ei = this._getRangeIndex(exclusions, addr);
+            const ri = ei < 0 ? this._getRangeIndex(ranges, addr) : -1;
+            const counted = ei >= 0 ? exclusionCounts[ei] : rangeCounts[ri];
+            if (counted) {
+                if      (cls === 'staticStatic') counted.staticStatics++;
+                else if (cls === 'staticNode')   counted.staticNodes++;
+            }
+
+            const bucket = ei < 0 && cls !== 'dynamicNode' ? density.locate(addr) : null;
+            if (bucket) {
+                if (cls === 'staticStatic') bucket.staticStatics++;
+                else                        bucket.staticNodes++;
+                bucket.first = Math.min(bucket.first, addr);
+                bucket.last  = Math.max(bucket.last, addr);
             }
         }
 
@@ -268,41 +406,226 @@ class Preprocessor {
             staticNodes:   totalStaticNodes,
             dynamicNodes:  totalDynamic,
             ranges:        rangeCounts,
+            exclusions:    exclusionCounts,
+            density:       this._suggestRanges(density.buckets),
             recommendation: this._buildRecommendation(
                 rangeCounts, totalStaticNodes, totalStaticStatics
-            )
+            ),
+            filtered:      this.removed.map(({ reasons }) => ({
+                anchor:    reasons.filter(r => r === 'anchor').length,
+                proximity: reasons.filter(r => r === 'proximity').length
+            }))
         };
 
         return this._countsCache;
     }
 
+    /**
+     * Pairwise contrast between batches — how different each pair of states
+     * looks to the scanner.  Result is cached between add/remove calls.
+     *
+     * For a pair (a, b), counting the addresses present in either:
+     *   jaccard    — present in both / present in either
+     *   sticky     — share of those in both with the same value (a
+     *                StaticStatic as far as this pair goes)
+     *   changeRate — share of those in both whose value differs (a
+     *                StaticNode); sticky + changeRate = 1
+     *   contrast   — 1 − (same address, same value) / present in either
+     *
+     * A pair whose contrast is below Config 'nearDuplicateContrast' is a
+     * near-duplicate: the second state adds almost nothing to the first.  Of
+     * the two, the one with the lower mean contrast against every other batch
+     * is suggested for replacement.
+     *
+     * Return shape:
+     * {
+     *   batchCount : number,
+     *   matrix     : ({ jaccard, sticky, changeRate, contrast } | null)[][],  // null on the diagonal
+     *   meanContrast : number[],              // per batch, against all others
+     *   duplicates : { a: number, b: number, contrast: number, replace: number }[]
+     * }
+     */
+    getContrast() {
+        if (this._contrastCache) return this._contrastCache;
+
+        const n       = this.batchCount;
+        const present = new Int32Array(n);        // addresses per batch
+        const shared  = new Int32Array(n * n);    // [a * n + b], a < b
+        const same    = new Int32Array(n * n);
+        const inBatch = new Int32Array(n);
+
+        for (const slots of this.nodeMap.values()) {
+            let k = 0;
+            for (let b = 0; b < n; b++) if (slots[b] !== 0) inBatch[k++] = b;
+
+            for (let i = 0; i < k; i++) {
+                const a = inBatch[i];
+                present[a]++;
+                for (let j = i + 1; j < k; j++) {
+                    const b = inBatch[j];
+                    shared[a * n + b]++;
+                    if (slots[a] === slots[b]) same[a * n + b]++;
+                }
+            }
+        }
+
+        const matrix = Array.from({ length: n }, () => new Array(n).fill(null));
+        for (let a = 0; a < n; a++) {
+            for (let b = a + 1; b < n; b++) {
+                const both   = shared[a * n + b];
+                const either = present[a] + present[b] - both;
+                const cell   = {
+                    jaccard:    either ? both / either : 1,
+                    sticky:     both ? same[a * n + b] / both : 0,
+                    changeRate: both ? (both - same[a * n + b]) / both : 0,
+                    contrast:   either ? 1 - same[a * n + b] / either : 0
+                };
+                matrix[a][b] = matrix[b][a] = cell;
+            }
+        }
+
+        const meanContrast = matrix.map((row, a) => {
+            const others = row.filter((cell, b) => b !== a);
+            return others.length ? others.reduce((sum, cell) => sum + cell.contrast, 0) / others.length : 0;
+        });
+
+        const threshold  = Config.get('nearDuplicateContrast');
+        const duplicates = [];
+        for (let a = 0; a < n; a++) {
+            for (let b = a + 1; b < n; b++) {
+                const contrast = matrix[a][b].contrast;
+                if (contrast >= threshold) continue;
+                const replace = meanContrast[a] < meanContrast[b] ? a : b;
+                duplicates.push({ a, b, contrast, replace });
+            }
+        }
+
+        this._contrastCache = { batchCount: n, matrix, meanContrast, duplicates };
+        return this._contrastCache;
+    }
+
+    /**
+     * The class catalogue (see the module header), most instances first.
+     * Result is cached between add/remove calls.
+     *
+     * Return shape:
+     * [{
+     *   vtable    : number,       // unmasked
+     *   instances : number[],     // instance count per batch
+     *   referrers : number[][]    // instance addresses per batch, ascending
+     * }]
+     */
+    getClassCatalogue() {
+        if (this._classCache) return this._classCache;
+
+        const byVtable = new Map();
+        for (const [addr, vtables] of this._classInstances()) {
+            vtables.forEach((vtable, b) => {
+                if (vtable === 0) return;
+                if (!byVtable.has(vtable)) {
+                    byVtable.set(vtable, Array.from({ length: this.batchCount }, () => []));
+                }
+                byVtable.get(vtable)[b].push(addr);
+            });
+        }
+
+        const total = ({ instances }) => instances.reduce((sum, n) => sum + n, 0);
+        this._classCache = [...byVtable]
+            .map(([vtable, referrers]) => ({
+                vtable,
+                instances: referrers.map(addrs => addrs.length),
+                referrers: referrers.map(addrs => addrs.sort((a, b) => a - b))
+            }))
+            .sort((a, b) => total(b) - total(a) || a.vtable - b.vtable);
+        return this._classCache;
+    }
+
+    /**
+     * The class catalogue as CSV text, one row per instance:
+     * Vtable,State,Instance — stateName(batch) fills the second column.
+     */
+    getClassCsv(stateName = b => b + 1) {
+        let csv = 'Vtable,State,Instance\n';
+        for (const { vtable, referrers } of this.getClassCatalogue()) {
+            referrers.forEach((addrs, b) => {
+                const state = stateName(b);
+                for (const addr of addrs) {
+                    csv += `${CoreUtils.formatHex(vtable)},${state},${CoreUtils.formatHex(addr)}\n`;
+                }
+            });
+        }
+        return csv;
+    }
+
+    /**
+     * Where the ingest filters removed an address, if anywhere.
+     * Returns [{ batch, value, reason }], one per batch it was removed from.
+     */
+    findRemoved(address) {
+        const found = [];
+        this.removed.forEach(({ addresses, values, reasons }, batch) => {
+            const i = addresses.indexOf(address);
+            if (i >= 0) found.push({ batch, value: values[i], reason: reasons[i] });
+        });
+        return found;
+    }
+
+    /**
+     * Everything the ingest filters removed, as CSV text:
+     * State,Address,Value,Reason — stateName(batch) fills the first column.
+     */
+    getRemovedCsv(stateName = b => b + 1) {
+        let csv = 'State,Address,Value,Reason\n';
+        this.removed.forEach(({ addresses, values, reasons }, b) => {
+            const state = stateName(b);
+            for (let i = 0; i < addresses.length; i++) {
+                csv += `${state},${CoreUtils.formatHex(addresses[i])},${CoreUtils.formatHex(values[i])},${reasons[i]}\n`;
+            }
+        });
+        return csv;
+    }
+
     /**
      * Apply the system mask in-memory, classify all nodes, and partition them
      * into three pre-sized typed arrays.
      *
      * *** Deletes this.nodeMap on completion. ***
-     * Call this exactly once, immediately before handing off to the scanner.
+     * Call this exactly once, immediately before handing off to the scanner —
+     * or with keepPool to mask copies and leave the pool as it was (a dry
+     * run, such as the scan time estimate).
      *
      * Return shape:
      * {
      *   systemId      : string,
      *   batchCount    : number,
-     *   staticStatics : { addresses: Int32Array, values: Int32Array },
+     *   staticStatics : { addresses: Int32Array, values: Int32Array, masks: Int32Array },
      *   staticNodes   : { addresses: Int32Array, values: Int32Array[] },
-     *   dynamicNodes  : { addresses: Int32Array, values: Int32Array[] }
+     *   dynamicNodes  : { addresses: Int32Array, values: Int32Array[] },
+     *   classInstances: { addresses: Int32Array, values: Int32Array[] }
      * }
      *
      * staticStatics.values[i]   — single masked value (same in all batches)
-     * staticNodes.values[i]     — Int32Array(batchCount), one value per batch
+     * staticStatics.masks[i]    — batches it is present in (bit b = batch b)
+     * staticNodes.values[i]     — Int32Array(batchCount), 0 = absent that batch
      * dynamicNodes.values[i]    — Int32Array(batchCount), 0 = absent that batch
+     * classInstances.values[i]  — Int32Array(batchCount), vtable the address
+     *                             points at, unmasked as in the catalogue,
+     *                             0 = not an instance
      */
-    collapse() {
+    collapse({ keepPool = false } = {}) {
         const counts = this.getCounts();
         const mask   = Config.getSystemMask(this.systemId);
         const n      = this.batchCount;
 
+        // Before the pool is masked: removed entries are unmasked too, and
+        // the vtables stay unmasked so titles name them as the catalogue does
+        const instances  = this._classInstances();
+        const classAddrs = Int32Array.from(instances.keys());
+        const classVals  = [...instances.values()].map(vtables => Int32Array.from(vtables));
+
         const ssAddrs  = new Int32Array(counts.staticStatics);
         const ssVals   = new Int32Array(counts.staticStatics);
+        const ssMasks  = new Int32Array(counts.staticStatics);
         const snAddrs  = new Int32Array(counts.staticNodes);
         const snVals   = [];
         const dynAddrs = new Int32Array(counts.dynamicNodes);
@@ -310,7 +633,8 @@ class Preprocessor {
 
         let ssIdx = 0, snIdx = 0, dynIdx = 0;
 
-        for (const [addr, slots] of this.nodeMap) {
+        for (const [addr, pooled] of this.nodeMap) {
+            const slots = keepPool && mask !== null ? pooled.slice() : pooled;
 
             // Apply mask to every non-zero slot
             if (mask !== null) {
@@ -324,7 +648,7 @@ class Preprocessor {
             if (cls === 'staticStatic') {
                 ssAddrs[ssIdx] = addr;
                 for (let b = 0; b < n; b++) {
-                    if (slots[b] !== 0) { ssVals[ssIdx] = slots[b]; break; }
+                    if (slots[b] !== 0) { ssVals[ssIdx] = slots[b]; ssMasks[ssIdx] |= 1 << b; }
                 }
                 ssIdx++;
 
@@ -345,8 +669,12 @@ class Preprocessor {
         }
 
         // Free the large preprocessing map
-        this.nodeMap.clear();
-        this._countsCache = null;
+        if (!keepPool) {
+            this.nodeMap.clear();
+            this._countsCache   = null;
+            this._contrastCache = null;
+            this._classCache    = null;
+        }
 
         console.log(
             `Preprocessor collapsed [${this.systemId}]: ` +
@@ -356,9 +684,10 @@ class Preprocessor {
         return {
             systemId:      this.systemId,
             batchCount:    n,
-            staticStatics: { addresses: ssAddrs, values: ssVals },
+            staticStatics: { addresses: ssAddrs, values: ssVals, masks: ssMasks },
             staticNodes:   { addresses: snAddrs, values: snVals },
-            dynamicNodes:  { addresses: dynAddrs, values: dynVals }
+            dynamicNodes:  { addresses: dynAddrs, values: dynVals },
+            classInstances: { addresses: classAddrs, values: classVals }
         };
     }
 
@@ -411,6 +740,118 @@ class Preprocessor {
         return -1;
     }
 
+    /**
+     * Empty density histogram over the system's memory: Config
+     * 'densityBuckets' equal buckets split between its regions (two on the
+     * Wii).  locate(address) → the bucket holding it, or null.  first / last
+     * track the lowest and highest node address seen in a bucket.
+     */
+    _densityBuckets(systemId) {
+        const cfg     = Config.getSystemConfig(systemId);
+        const regions = Array.isArray(cfg.memoryRange) ? cfg.memoryRange : [cfg.memoryRange];
+        const perRegion = Math.ceil(Config.get('densityBuckets') / regions.length);
+
+        const buckets = [];
+        const spans   = regions.map(({ min, max }) => {
+            const size  = Math.ceil((max - min + 1) / perRegion);
+            const first = buckets.length;
+            for (let lo = min; lo <= max; lo += size) {
+                buckets.push({
+                    min: lo, max: Math.min(lo + size - 1, max),
+                    staticNodes: 0, staticStatics: 0, first: Infinity, last: -Infinity
+                });
+            }
+            return { min, max, size, first };
+        });
+
+        const locate = addr => {
+            const span = spans.find(r => addr >= r.min && addr <= r.max);
+            return span ? buckets[span.first + Math.floor((addr - span.min) / span.size)] : null;
+        };
+        return { buckets, locate };
+    }
+
+    /**
+     * Scan ranges around the dense stretches of a density histogram.
+     *
+     * A bucket is dense when it holds at least Config 'densityFactor' times
+     * the mean of the occupied buckets.  Dense buckets one quiet bucket apart
+     * (in the same region) join up into a cluster; each cluster becomes a
+     * range from its lowest to its highest node, widened to 0x100 bytes.  The
+     * Config 'maxSuggestedRanges' busiest clusters are kept, in address order.
+     * Nodes are the would-be base pointers: StaticNodes, plus StaticStatics
+     * when skipSticky is off.
+     */
+    _suggestRanges(buckets) {
+        const weight   = b => b.staticNodes + (this.skipSticky ? 0 : b.staticStatics);
+        const occupied = buckets.filter(b => weight(b) > 0);
+        const total    = occupied.reduce((sum, b) => sum + weight(b), 0);
+        const dense    = b => total > 0 && weight(b) >= Config.get('densityFactor') * total / occupied.length;
+
+        const clusters = [];
+        let run = null;
+        buckets.forEach((b, i) => {
+            const adjoins = i > 0 && b.min === buckets[i - 1].max + 1;
+            if (run && (!adjoins || i - run.lastDense > 2)) run = null;
+            if (!dense(b)) return;
+            if (!run) clusters.push(run = { from: i, lastDense: i });
+            run.lastDense = i;
+        });
+
+        const suggestions = clusters
+            .map(({ from, lastDense }) => {
+                const span = buckets.slice(from, lastDense + 1);
+                const sum  = key => span.reduce((n, b) => n + b[key], 0);
+                return {
+                    min:           (span[0].first & ~0xFF) >>> 0,
+                    max:           (span[span.length - 1].last | 0xFF) >>> 0,
+                    staticNodes:   sum('staticNodes'),
+                    staticStatics: sum('staticStatics')
+                };
+            })
+            .sort((a, b) => weight(b) - weight(a))
+            .slice(0, Config.get('maxSuggestedRanges'))
+            .sort((a, b) => a.min - b.min)
+            .map((r, i) => ({ label: `Suggested ${i + 1}`, ...r, share: weight(r) / total }));
+
+        return {
+            buckets: buckets.map(({ min, max, staticNodes, staticStatics }) => ({ min, max, staticNodes, staticStatics })),
+            suggestions
+        };
+    }
+
+    /**
+     * Every address pointing at an anchor value in some batch, kept in the
+     * pool or removed by a filter.
+     * Returns Map<address, number[batchCount]> of unmasked, unsigned vtables, 0 = not
+     * an instance in that batch.
+     */
+    _classInstances() {
+        const vtables = new Set();
+        for (const { values, reasons } of this.removed) {
+            reasons.forEach((reason, i) => { if (reason === 'anchor') vtables.add(values[i] >>> 0); });
+        }
+
+        const instances = new Map();
+        // Pool slots are Int32Array (signed); compare unsigned
+        const add = (addr, b, val) => {
+            val >>>= 0;
+            if (!vtables.has(val)) return;
+            if (!instances.has(addr)) instances.set(addr, new Array(this.batchCount).fill(0));
+            instances.get(addr)[b] = val;
+        };
+
+        this.removed.forEach(({ addresses, values }, b) => {
+            for (let i = 0; i < addresses.length; i++) add(addresses[i], b, values[i]);
+        });
+        if (vtables.size > 0) {
+            for (const [addr, slots] of this.nodeMap) {
+                for (let b = 0; b < this.batchCount; b++) if (slots[b] !== 0) add(addr, b, slots[b]);
+            }
+        }
+        return instances;
+    }
+
     /**
      * Build a soft recommendation from current counts.
      *
@@ -450,23 +891,18 @@ class Preprocessor {
  * Classify a slot array for the current batchCount.
  * Returns 'staticStatic' | 'staticNode' | 'dynamicNode'
  *
- * We only need to know whether unique non-zero count is 0, 1, or >1,
- * and whether any zeros exist — so we short-circuit early.
+ * We only need to know how many slots are non-zero (against the quorum)
+ * and whether the non-zero values are all the same.
  */
 _classify(slots) {
-    let zeroFound    = false;
+    let present      = 0;
     let firstValue   = 0;
     let allSameValue = true;
 
     for (let b = 0; b < this.batchCount; b++) {
         const v = slots[b];
-        if (v === 0) {
-            zeroFound = true;
-            // Don't break: still need to evaluate allSameValue for correctness
-            // but once a zero is found the classification is DynamicNode regardless.
-            // We can break here because DynamicNode wins over everything.
-            break;
-        }
+        if (v === 0) continue;
+        present++;
         if (firstValue === 0) {
             firstValue = v;
         } else if (v !== firstValue) {
@@ -474,7 +910,7 @@ _classify(slots) {
         }
     }
 
-    if (zeroFound)    return 'dynamicNode';
+    if (present < CoreUtils.quorumSize(this.quorum, this.batchCount)) return 'dynamicNode';
     if (allSameValue) return 'staticStatic';
     return 'staticNode';
 }
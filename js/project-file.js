@@ -0,0 +1,135 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Project File
+ *
+ * Reads and writes .bdram project bundles: a whole workspace in one JSON file
+ * so an investigation can be handed to someone else and picked up as it was.
+ *
+ * Project shape (what the UI controller builds / applies):
+ * {
+ *   format     : 'bdram-project',
+ *   version    : 1,
+ *   savedAt    : ISO timestamp,
+ *   systemId   : string,
+ *   slots      : [{ name, size, label, group, target,
+ *                   trimmed: { filename, addresses: number[], values: number[] } | null }],
+ *   batchSlots : number[]    preprocessor batch index → slot index
+ *   settings   : { <ProjectFile.SETTINGS>, enabledRanges: number[], readmitted: number[],
+ *                  rangeLayout: { ranges, exclusions } (see Config) }
+ *   generatorIds      : { staticId, targetId, regularId }
+ *   achievementCounts : { static, dynamic }
+ *   result     : last results display data, or null
+ * }
+ *
+ * The preprocessor pool is not stored directly.  Replaying the trimmed slots
+ * through Preprocessor.addBatch() in batchSlots order rebuilds the same
+ * nodeMap, and the slots are needed anyway for downloads and removal.
+ *
+ * On disk, trimmed address / value arrays are base64-encoded Uint32 words
+ * (little-endian) — roughly a third of the size of JSON number arrays.
+ * =============================================================================
+ */
+
+class ProjectFile {
+
+    static FORMAT    = 'bdram-project';
+    static VERSION   = 1;
+    static EXTENSION = '.bdram';
+
+    // UI controller fields saved under `settings`.  Each has a control with the
+    // same id: a toggle pill for booleans, an input otherwise.
+    static SETTINGS = [
+        'maxBreadth', 'maxDepth', 'maxStatesPerDepth', 'quorum', 'reverseNegWindow', 'reversePosWindow',
+        'anchorReferrers', 'proximityBefore', 'proximityAfter',
+        'earlyOutBasePointer', 'earlyOutTarget', 'reverseScan', 'useWorkers', 'skipStickyPointers',
+        'pruneUnresolved', 'groupAnalysis'
+    ];
+
+    /**
+     * Project object → file text.
+     * @param   {object} project
+     * @returns {string}
+     */
+    static serialize(project) {
+        const slots = project.slots.map(slot => ({
+            ...slot,
+            trimmed: slot.trimmed && {
+                filename:  slot.trimmed.filename,
+                count:     slot.trimmed.addresses.length,
+                addresses: this._encodeWords(slot.trimmed.addresses),
+                values:    this._encodeWords(slot.trimmed.values)
+            }
+        }));
+
+        return JSON.stringify({ ...project, format: this.FORMAT, version: this.VERSION, slots });
+    }
+
+    /**
+     * File text → project object.  Throws on anything that isn't a readable
+     * project for a known system.
+     * @param   {string} text
+     * @returns {object}
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw CoreUtils.createError('Not a BDRAM project file', 'ProjectFile.parse', { cause: err.message });
+        }
+
+        if (data?.format !== this.FORMAT) {
+            throw CoreUtils.createError('Not a BDRAM project file', 'ProjectFile.parse');
+        }
+        if (data.version > this.VERSION) {
+            throw CoreUtils.createError(
+                `Project file version ${data.version} is newer than this scanner supports (${this.VERSION})`,
+                'ProjectFile.parse', { version: data.version }
+            );
+        }
+        if (!Config.isValidSystem(data.systemId)) {
+            throw CoreUtils.createError(`Unknown system in project: "${data.systemId}"`, 'ProjectFile.parse');
+        }
+
+        data.slots = (data.slots || []).map(slot => {
+            if (!slot.trimmed) return { ...slot, trimmed: null };
+
+            const addresses = this._decodeWords(slot.trimmed.addresses);
+            const values    = this._decodeWords(slot.trimmed.values);
+            if (addresses.length !== slot.trimmed.count || values.length !== slot.trimmed.count) {
+                throw CoreUtils.createError(`Batch data for ${slot.name} is damaged`, 'ProjectFile.parse');
+            }
+            return { ...slot, trimmed: { filename: slot.trimmed.filename, addresses, values } };
+        });
+
+        return data;
+    }
+
+    /** Default download name, e.g. "n64-2026-10-19.bdram". */
+    static defaultFilename(systemId) {
+        return `${systemId}-${new Date().toISOString().slice(0, 10)}${this.EXTENSION}`;
+    }
+
+    // =========================================================================
+    // Internal helpers
+    // =========================================================================
+
+    static _encodeWords(numbers) {
+        const bytes = new Uint8Array(Uint32Array.from(numbers).buffer);
+        const parts = [];
+        // String.fromCharCode() takes arguments — keep each call well under the stack limit.
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+        }
+        return btoa(parts.join(''));
+    }
+
+    static _decodeWords(base64) {
+        const binary = atob(base64 || '');
+        if (binary.length % 4 !== 0) return [];
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return Array.from(new Uint32Array(bytes.buffer));
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Reverse Scanner
+ *
+ * Target-to-base pointer search.  Instead of walking outward from every base
+ * pointer, start at the per-batch target addresses and walk upward:
+ *
+ *   1. buildValueIndexes(sc, batches)
+ *      Per targeted batch, sort node indexes by value so "which nodes point
+ *      near this address?" is a binary search instead of a full pass.
+ *
+ *   2. scanFromTargets(sc, batchIndexes)
+ *      Breadth-first walk from the target tuple.  At each level, every node
+ *      whose value + offset lands on the current address (offset inside the
+ *      reverse window, same offset in every targeted batch) becomes a parent
+ *      state.  A state whose addresses equal a base pointer's values is a
+ *      complete path; it is verified forward in every batch and recorded in
+ *      sc.targetPaths in the same shape the forward scanner produces.
+ *
+ * Batches without a target don't constrain the upward walk.  They are only
+ * checked when a candidate path is verified from its base pointer.
+ *
+ * Value index shape (one per targeted batch, returned by buildValueIndexes):
+ * {
+ *   order  : Uint32Array   batch array indexes, sorted by value
+ *   values : Int32Array    values in the same sorted order
+ * }
+ * =============================================================================
+ */
+
+'use strict';
+
+// Upper bound on parent states kept per depth.  Wide windows over dense
+// memory can fan out quickly; shallow states are kept first.
+const REVERSE_FRONTIER_CAP = 5000;
+
+// ---------------------------------------------------------------------------
+// 1. Value index construction
+// ---------------------------------------------------------------------------
+
+/**
+ * Build sorted value indexes for the given batches.
+ *
+ * @param   {BDRAMScanner} sc
+ * @param   {number[]}     batches  Batch indexes to index (the targeted ones).
+ * @returns {Map<number, { order: Uint32Array, values: Int32Array }>}
+ */
+function buildValueIndexes(sc, batches) {
+    const indexes = new Map();
+
+    for (const b of batches) {
+        const src   = sc.batches[b].values;
+        const order = new Uint32Array(src.length);
+        for (let i = 0; i < order.length; i++) order[i] = i;
+        order.sort((x, y) => src[x] - src[y]);
+
+        const values = new Int32Array(order.length);
+        for (let i = 0; i < order.length; i++) values[i] = src[order[i]];
+
+        indexes.set(b, { order, values });
+    }
+
+    return indexes;
+}
+
+// ---------------------------------------------------------------------------
+// 2. Reverse scan driver
+// ---------------------------------------------------------------------------
+
+/**
+ * Walk from the batch targets up to base pointers, at most sc.maxDepth hops.
+ *
+ * Reads sc.reverseNegWindow / sc.reversePosWindow (hex strings) for the
+ * offset window and honours sc.earlyOutTarget and cancel / pause (between
+ * depths; reverse scans are short, so no checkpoints).  Base pointers
+ * outside the enabled scan ranges are ignored, as in the forward scan.
+ *
+ * @param {BDRAMScanner}         sc
+ * @param {Map<number,number>[]} batchIndexes  Pre-built address→index maps.
+ */
+async function scanFromTargets(sc, batchIndexes) {
+    const targeted = [];
+    sc.batchTargets.forEach((t, b) => { if (t !== null) targeted.push(b); });
+
+    const negWindow = parseInt(sc.reverseNegWindow, 16) & 0xFFFFFC;
+    const posWindow = parseInt(sc.reversePosWindow, 16) & 0xFFFFFC;
+
+    const valueIndexes = buildValueIndexes(sc, targeted);
+    const baseLookup   = _buildBaseValueLookup(sc, targeted);
+
+    const keyOf = addrs => addrs.join(',');
+    const start = targeted.map(b => sc.batchTargets[b]);
+
+    let frontier = [{ addrs: start, path: [] }];
+    const seen   = new Set([keyOf(start)]);
+    const found  = new Set();
+
+    for (let depth = 0; depth <= sc.maxDepth && frontier.length > 0; depth++) {
+        globalEventBus.emit('progress:update', {
+            percent: 46 + Math.floor((depth / sc.maxDepth) * 39),
+            status:  `Reverse scan depth ${depth}: ${frontier.length} candidate nodes`
+        });
+        await new Promise(r => setTimeout(r, 0));
+        await sc.checkControl();
+
+        const next = [];
+
+        for (const state of frontier) {
+
+            // --- Terminal check: does a base pointer hold these addresses? ---
+            const bases = baseLookup.get(keyOf(state.addrs)) || [];
+            for (const base of bases) {
+                const pathKey = `${base.address}:${state.path.join(',')}`;
+                if (found.has(pathKey)) continue;
+                if (!_verifyForward(sc, batchIndexes, base, state.path)) continue;
+
+                found.add(pathKey);
+                sc.targetPaths.push(sc.formatTargetPath(base.address, state.path));
+
+                if (sc.earlyOutTarget) {
+                    console.log('=== EARLY OUT: target addresses found, stopping reverse scan ===');
+                    return;
+                }
+            }
+
+            if (depth === sc.maxDepth) continue;
+
+            // --- Expand: every parent that lands here with a shared offset ---
+            for (const parent of _findParents(sc, valueIndexes, targeted, state.addrs, negWindow, posWindow)) {
+                const key = keyOf(parent.addrs);
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                if (next.length >= REVERSE_FRONTIER_CAP) continue;
+                next.push({ addrs: parent.addrs, path: [parent.offset, ...state.path] });
+            }
+        }
+
+        if (next.length >= REVERSE_FRONTIER_CAP) {
+            console.warn(`Reverse scan: frontier capped at ${REVERSE_FRONTIER_CAP} states (depth ${depth + 1})`);
+        }
+
+        frontier = next;
+    }
+
+    sc.basePointers.clear();
+    console.log(`Reverse scan complete: ${found.size} target paths found`);
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Parent tuples of one state: nodes whose value + offset equals the state's
+ * address in every targeted batch, for one shared 4-byte-aligned offset
+ * in [-negWindow, +posWindow].
+ */
+function _findParents(sc, valueIndexes, targeted, addrs, negWindow, posWindow) {
+    const parents = [];
+    const first   = valueIndexes.get(targeted[0]);
+    const lo      = _lowerBound(first.values, addrs[0] - posWindow);
+    const hi      = _lowerBound(first.values, addrs[0] + negWindow + 1);
+
+    for (let i = lo; i < hi; i++) {
+        const offset = addrs[0] - first.values[i];
+        if ((offset & 3) !== 0) continue;
+
+        // Candidates per targeted batch; the first batch has exactly one.
+        const candidates = [[sc.batches[targeted[0]].addresses[first.order[i]]]];
+        for (let k = 1; k < targeted.length && candidates.length === k; k++) {
+            const b     = targeted[k];
+            const index = valueIndexes.get(b);
+            const want  = addrs[k] - offset;
+            const from  = _lowerBound(index.values, want);
+            const hits  = [];
+            for (let j = from; j < index.values.length && index.values[j] === want; j++) {
+                hits.push(sc.batches[b].addresses[index.order[j]]);
+            }
+            if (hits.length > 0) candidates.push(hits);
+        }
+        if (candidates.length !== targeted.length) continue;
+
+        for (const tuple of _product(candidates)) {
+            parents.push({ addrs: tuple, offset });
+        }
+    }
+
+    return parents;
+}
+
+/**
+ * Map from "targeted-batch values" key to the in-range base pointers that
+ * hold those values — the terminal states of the reverse walk.
+ */
+function _buildBaseValueLookup(sc, targeted) {
+    const lookup = new Map();
+
+    for (const [address, values] of sc.basePointers) {
+        if (!sc.isInScanRange(address)) continue;
+
+        const key = targeted.map(b => values[b]).join(',');
+        if (!lookup.has(key)) lookup.set(key, []);
+        lookup.get(key).push({ address, values });
+    }
+
+    return lookup;
+}
+
+/**
+ * Replay a path from the base pointer in every batch, the same way the
+ * forward scanner follows it: each hop needs the current node present in
+ * that batch, then lands on value + offset.  Targeted batches must end on
+ * their own target.
+ */
+function _verifyForward(sc, batchIndexes, base, path) {
+    const landed = [];
+
+    for (let b = 0; b < sc.batches.length; b++) {
+        let addr = base.values[b];
+        for (const offset of path) {
+            const idx = batchIndexes[b].get(addr);
+            if (idx === undefined) return false;
+            addr = sc.batches[b].values[idx] + offset;
+        }
+        landed.push(addr);
+    }
+
+    return sc.matchesBatchTargets(landed);
+}
+
+function _lowerBound(sorted, value) {
+    let lo = 0, hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (sorted[mid] < value) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+}
+
+function* _product(lists, prefix = []) {
+    if (prefix.length === lists.length) { yield prefix; return; }
+    for (const item of lists[prefix.length]) {
+        yield* _product(lists, [...prefix, item]);
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Scan Time Estimate
+ *
+ * A forward scan's cost is almost all in scanSingleBasePointer(), once per
+ * base pointer in range, and that cost depends on Max Breadth / Max Depth /
+ * paths per depth as much as on the pool.  Rather than guess from the
+ * StaticNode count, estimateScan() does a dry run: a throwaway scanner with
+ * the same settings prepares the pool exactly as processBatches() would,
+ * scans a random sample of the base pointers, and scales the sample up.
+ *
+ * What is extrapolated
+ * --------------------
+ *   time   = preparation + offset bitmaps (measured once, not sampled)
+ *          + mean time per sampled base pointer × base pointers in range,
+ *            divided between the workers a parallel scan would use
+ *   memory = batches + offset bitmaps + batch indexes (fixed)
+ *          + mean size of a sampled result × base pointers in range
+ *            (entry points and target paths are kept until the end)
+ *
+ * Achievement generation and the logic check aren't included; they are
+ * small next to the scan.  The sample is random, so two estimates differ a
+ * little; a bigger sample steadies them.  Reverse scans walk up from the
+ * targets rather than down from every base pointer, so they aren't
+ * estimated.
+ * =============================================================================
+ */
+
+'use strict';
+
+// Rough bytes per Map entry in a batch index (key, value, hash slot).
+const INDEX_ENTRY_BYTES = 64;
+
+/**
+ * Dry-run a forward scan on a sample of base pointers.
+ *
+ * @param   {BDRAMScanner}    sc            Scanner configured as for the real run;
+ *                                          only its settings are read.
+ * @param   {object}          output        Preprocessor.collapse() result (a
+ *                                          keepPool one, so the pool survives).
+ * @param   {(number|null)[]} batchTargets  Target per batch.
+ * @param   {number}          [sampleSize]  Base pointers to scan (default Config
+ *                                          'estimateSampleSize').
+ * @returns {Promise<{ basePointers: number, sampled: number, workers: number,
+ *            prepSeconds: number, bitmapSeconds: number, perBaseMs: number,
+ *            scanSeconds: number, totalSeconds: number, memoryBytes: number,
+ *            targetPathsFound: number }>}
+ */
+async function estimateScan(sc, output, batchTargets, sampleSize = Config.get('estimateSampleSize')) {
+    if (sc.scanMode === 'reverse') {
+        throw CoreUtils.createError('Only forward scans can be estimated', 'estimateScan');
+    }
+
+    const dry = new BDRAMScanner();
+    for (const key of GROUP_SCAN_SETTINGS) dry[key] = sc[key];
+    dry.checkpointsEnabled = false;
+    dry.generator          = null;
+
+    let t = performance.now();
+    const batchIndexes = await dry._prepareScan(output, batchTargets);
+    const prepMs       = performance.now() - t;
+
+    t = performance.now();
+    const bitmapCtx = buildTraversalBitmaps(dry, batchIndexes);
+    const bitmapMs  = performance.now() - t;
+
+    const inRange = [...dry.basePointers].filter(([address]) => dry.isInScanRange(address));
+    const sample  = _randomSample(inRange, sampleSize);
+    const lookups = buildScanLookups(dry);
+
+    let resultBytes = 0, targetPathsFound = 0;
+    t = performance.now();
+    for (const [address, values] of sample) {
+        const result = await scanSingleBasePointer(dry, { address, values }, batchIndexes, lookups, bitmapCtx);
+        resultBytes      += _resultBytes(result);
+        targetPathsFound += result.targetPaths.length;
+    }
+    const sampleMs = performance.now() - t;
+
+    const n         = sample.length;
+    const perBaseMs = n ? sampleMs / n : 0;
+    const workers   = dry.useWorkers && canUseScanWorkers() ? scanWorkerCount(dry) : 1;
+    const scanMs    = perBaseMs * inRange.length / workers;
+
+    const batchBytes = dry.batches.reduce((sum, b) => sum + b.addresses.length * 8, 0);
+    const indexBytes = batchIndexes.reduce((sum, index) => sum + index.size * INDEX_ENTRY_BYTES, 0);
+    const fixedBytes = batchBytes + (bitmapCtx.data?.byteLength ?? 0) + indexBytes;
+    // Each worker holds its own batch copies and indexes
+    const workerBytes = workers > 1 ? workers * (batchBytes + indexBytes) : 0;
+
+    return {
+        basePointers:  inRange.length,
+        sampled:       n,
+        workers,
+        prepSeconds:   prepMs / 1000,
+        bitmapSeconds: bitmapMs / 1000,
+        perBaseMs,
+        scanSeconds:   scanMs / 1000,
+        totalSeconds:  (prepMs + bitmapMs + scanMs) / 1000,
+        memoryBytes:   fixedBytes + workerBytes + (n ? resultBytes / n : 0) * inRange.length,
+        targetPathsFound
+    };
+}
+
+/** "20 min", "45 s" — an estimate, so never more than two units. */
+function formatDuration(seconds) {
+    if (seconds < 1)  return '< 1 s';
+    if (seconds < 60) return `${Math.round(seconds)} s`;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/** Up to `size` entries of `items`, picked uniformly (partial Fisher–Yates). */
+function _randomSample(items, size) {
+    const pool = items.slice();
+    const n    = Math.min(size, pool.length);
+    for (let i = 0; i < n; i++) {
+        const j = i + Math.floor(Math.random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, n);
+}
+
+/** What a base pointer's result keeps alive until the end, roughly (UTF-16). */
+function _resultBytes(result) {
+    return JSON.stringify({
+        structures:  result.structures,
+        entryPoints: result.entryPoints,
+        targetPaths: result.targetPaths
+    }).length * 2;
+}
@@ -0,0 +1,221 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Scan Worker Pool
+ *
+ * Parallel forward scan.  The coordinator (this file, on the page) hands
+ * base pointers to a pool of Web Workers (scan-worker.js) in small jobs and
+ * merges every result through registerBaseScanResult(), exactly as the
+ * single-threaded scanAllBasePointers() does.
+ *
+ *   1. canUseScanWorkers() / scanWorkerCount(sc)
+ *      True when the environment can start workers; how many a scan starts.
+ *
+ *   2. scanAllBasePointersParallel(sc, batchIndexes, bitmapCtx)
+ *      Start the pool, stream jobs to idle workers, merge results, stream
+ *      achievements and checkpoint every 1 000 base pointers, honour
+ *      early-out and cancel / pause.  Falls back to scanAllBasePointers()
+ *      if the workers can't be started.
+ *
+ * Shared data: batch arrays and the flat traversal bitmap buffer are
+ * allocated with CoreUtils.allocInt32Array(), so on a cross-origin isolated
+ * page every worker reads the same SharedArrayBuffer.  Elsewhere each worker
+ * receives a structured-clone copy.  Workers rebuild their own address→index
+ * Maps from the batch arrays.
+ *
+ * Jobs are handed out on demand rather than pre-partitioned, so a worker
+ * stuck on a deep base pointer doesn't hold up the rest.
+ * =============================================================================
+ */
+
+'use strict';
+
+const SCAN_WORKER_URL = 'js/scan-worker.js';
+const SCAN_JOB_SIZE   = 64;   // base pointers per worker message
+
+// ---------------------------------------------------------------------------
+// 1. Capability check
+// ---------------------------------------------------------------------------
+
+function canUseScanWorkers() {
+    return typeof Worker !== 'undefined';
+}
+
+/** sc.workerCount, or one less than the cores (at most 8) when it's 0. */
+function scanWorkerCount(sc) {
+    if (sc.workerCount > 0) return sc.workerCount;
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    // Leave a core for the page; each worker holds its own batch index Maps.
+    return Math.max(1, Math.min(cores - 1, 8));
+}
+
+// ---------------------------------------------------------------------------
+// 2. Parallel scan driver
+// ---------------------------------------------------------------------------
+
+/**
+ * Parallel equivalent of scanAllBasePointers().
+ *
+ * Reads sc.workerCount (0 = derive from navigator.hardwareConcurrency).
+ *
+ * @param {BDRAMScanner}         sc
+ * @param {Map<number,number>[]} batchIndexes  Used only by the fallback path.
+ * @param {{ store, slots, bytes, addresses, data }} bitmapCtx
+ */
+async function scanAllBasePointersParallel(sc, batchIndexes, bitmapCtx) {
+    let workers;
+    try {
+        workers = await _startScanWorkers(sc, bitmapCtx, scanWorkerCount(sc));
+    } catch (err) {
+        console.warn(`Scan workers unavailable (${err.message}) — scanning on the main thread`);
+        return scanAllBasePointers(sc, batchIndexes, bitmapCtx);
+    }
+
+    // Range gate up front, then the Map can be released.
+    const queue = [];
+    for (const [address, values] of sc.basePointers) {
+        if (sc.isInScanRange(address)) queue.push({ address, values });
+    }
+    sc.basePointers.clear();
+
+    const progress = sc.scanProgress;
+    console.log(`Parallel scan: ${queue.length} base pointers across ${workers.length} workers`);
+
+    let next = 0;
+    const inFlight = new Map();   // worker → bases not yet merged
+
+    // Checkpoints cover jobs still out with workers plus the unsent queue.
+    const remaining = function* () {
+        for (const bases of inFlight.values()) for (const b of bases) yield [b.address, b.values];
+        for (let i = next; i < queue.length; i++) yield [queue[i].address, queue[i].values];
+    };
+
+    try {
+        await new Promise((resolve, reject) => {
+            let stopped = false;
+            let chain   = Promise.resolve();   // results are merged one message at a time
+
+            const dispatch = worker => {
+                if (stopped || next >= queue.length) {
+                    if (inFlight.size === 0) resolve();
+                    return;
+                }
+                const bases = queue.slice(next, next + SCAN_JOB_SIZE);
+                next += bases.length;
+                inFlight.set(worker, bases);
+                worker.postMessage({ type: 'scan', bases });
+            };
+
+            const merge = async (worker, results) => {
+                const pending = inFlight.get(worker);
+                for (const { base, result } of results) {
+                    registerBaseScanResult(sc, base, result);
+                    pending.shift();
+
+                    // Streams + checkpoints every 1 000, honours cancel / pause.
+                    await sc.scanTick(remaining);
+
+                    if (result.stopAllProcessing) stopped = true;
+                }
+                inFlight.delete(worker);
+
+                globalEventBus.emit('progress:update', {
+                    percent: 60 + Math.floor((progress.done / progress.total) * 25),
+                    status:  `Scanning base pointers: ${progress.done}/${progress.total} (${workers.length} workers)`
+                });
+
+                dispatch(worker);
+            };
+
+            for (const worker of workers) {
+                worker.onmessage = ({ data }) => {
+                    if (data.type === 'error') {
+                        reject(CoreUtils.createError(`Scan worker failed: ${data.message}`, 'scanAllBasePointersParallel'));
+                        return;
+                    }
+                    if (data.type !== 'results') return;
+                    chain = chain.then(() => merge(worker, data.results)).catch(reject);
+                };
+                worker.onerror = e => reject(CoreUtils.createError(
+                    `Scan worker failed: ${e.message}`, 'scanAllBasePointersParallel'
+                ));
+            }
+
+            if (queue.length === 0) { resolve(); return; }
+            for (const worker of workers) dispatch(worker);
+        });
+    } finally {
+        for (const worker of workers) worker.terminate();
+    }
+
+    console.log(`Parallel scan complete: ${progress.done} base pointers scanned`);
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Start `count` workers and send each the scanner snapshot.  Resolves once
+ * every worker has reported ready; rejects (terminating all of them) if any
+ * fails to load or initialise.
+ */
+async function _startScanWorkers(sc, bitmapCtx, count) {
+    if (!canUseScanWorkers()) throw new Error('Web Workers not supported');
+
+    const state   = _buildWorkerState(sc, bitmapCtx);
+    const workers = [];
+
+    try {
+        for (let i = 0; i < count; i++) workers.push(new Worker(SCAN_WORKER_URL));
+
+        await Promise.all(workers.map(worker => new Promise((resolve, reject) => {
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') resolve();
+                else if (data.type === 'error') reject(new Error(data.message));
+            };
+            worker.onerror = e => { e.preventDefault?.(); reject(new Error(e.message || 'worker failed to load')); };
+            worker.postMessage({ type: 'init', state });
+        })));
+    } catch (err) {
+        for (const worker of workers) worker.terminate();
+        throw err;
+    }
+
+    return workers;
+}
+
+/**
+ * The part of the scanner the forward scan reads, in a form postMessage can
+ * carry.  Typed arrays come from CoreUtils.allocInt32Array(), so they are
+ * shared rather than copied when the page allows it.
+ */
+function _buildWorkerState(sc, bitmapCtx) {
+    const toInt32 = arr => {
+        const out = CoreUtils.allocInt32Array(arr.length);
+        out.set(arr);
+        return out;
+    };
+
+    return {
+        settings: {
+            systemId:            sc.systemId,
+            maxBreadth:          sc.maxBreadth,
+            maxDepth:            sc.maxDepth,
+            maxStatesPerDepth:   sc.maxStatesPerDepth,
+            earlyOutBasePointer: sc.earlyOutBasePointer,
+            earlyOutTarget:      sc.earlyOutTarget,
+            quorum:              sc.quorum
+        },
+        batches:      sc.batches.map(b => ({ addresses: toInt32(b.addresses), values: toInt32(b.values) })),
+        batchTargets: sc.batchTargets,
+        targetNodes:  sc.targetNodes.map(pool => [...pool]),
+        structures:   sc.structures,
+        entryPoints:  sc.entryPoints,
+        bitmaps: {
+            slots:     bitmapCtx.slots,
+            bytes:     bitmapCtx.bytes,
+            addresses: bitmapCtx.addresses,
+            data:      bitmapCtx.data
+        }
+    };
+}
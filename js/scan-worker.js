@@ -0,0 +1,62 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Scan Worker
+ *
+ * Web Worker side of the parallel forward scan (see scan-pool.js).  Loads the
+ * same scanner modules as the page, rebuilds just the state the forward scan
+ * reads, then scans whatever base pointers the coordinator hands it.
+ *
+ * Messages in:
+ *   { type: 'init', state }   scanner snapshot (see _buildWorkerState)
+ *   { type: 'scan', bases }   [{ address, values }, …]
+ *
+ * Messages out:
+ *   { type: 'ready' }
+ *   { type: 'results', results: [{ base, result }, …] }
+ *   { type: 'error', message }
+ * =============================================================================
+ */
+
+'use strict';
+
+importScripts('core.js', 'forward-scanner.js', 'scanner.js');
+
+let sc           = null;
+let batchIndexes = null;
+let lookups      = null;
+let bitmapCtx    = null;
+
+self.onmessage = async ({ data }) => {
+    try {
+        if (data.type === 'init') {
+            _init(data.state);
+            self.postMessage({ type: 'ready' });
+        } else if (data.type === 'scan') {
+            const results = [];
+            for (const base of data.bases) {
+                const result = await scanSingleBasePointer(sc, base, batchIndexes, lookups, bitmapCtx);
+                results.push({ base, result });
+                if (result.stopAllProcessing) break;
+            }
+            self.postMessage({ type: 'results', results });
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
+
+function _init(state) {
+    sc = new BDRAMScanner();
+    Object.assign(sc, state.settings);
+
+    sc.systemConfig = Config.getSystemConfig(sc.systemId);
+    sc.batches      = state.batches;
+    sc.batchTargets = state.batchTargets;
+    sc.targetNodes  = state.targetNodes.map(addrs => new Set(addrs));
+    sc.structures   = state.structures;
+    sc.entryPoints  = state.entryPoints;
+
+    batchIndexes = buildBatchIndexes(sc);
+    lookups      = buildScanLookups(sc);
+    bitmapCtx    = unpackTraversalBitmaps(state.bitmaps, sc.batches.length);
+}
@@ -7,20 +7,35 @@
  *
  *   chain-walker.js   walkChainsAtOffset, resolveChainConflicts
  *   list-detector.js  detectStaticLists, detectDynamicLists
+ *   tree-detector.js  detectTrees
+ *   table-detector.js detectHashTables, detectPointerTables
+ *   pool-detector.js  detectObjectPools
+ *   layout-inference.js inferLayouts
  *   forward-scanner.js buildBasePointerSet, buildBatchIndexes,
  *                      buildTraversalBitmaps, scanAllBasePointers
+ *   reverse-scanner.js scanFromTargets (scanMode 'reverse')
+ *   scan-pool.js       scanAllBasePointersParallel (useWorkers)
+ *   checkpoint-store.js CheckpointStore (pause / resume persistence)
+ *   group-analysis.js  analyseBatchGroups (groupAnalysis)
  *
- * processBatches() is the only public entry point.
+ * processBatches() is the main entry point; resumeFromCheckpoint() picks a
+ * saved forward scan back up at stage 4; group analysis only follows a
+ * fresh scan.  cancel() / pause() / resume() may be called while either is
+ * running.  scan-estimator.js drives a throwaway scanner through the same
+ * preparation (_prepareScan) to time a sample of base pointers.
  *
  * State owned here:
  *   batches              — raw per-batch address/value arrays (post-ingest)
  *   staticStaticNodes    — addr → single value (same in all batches)
- *   staticNodes          — addr → value[] (one per batch, all non-zero)
+ *   staticNodes          — addr → value[] (one per batch; undefined where absent, below a full quorum)
  *   dynamicNodes         — addr → value[] (sparse; 0 = absent for that batch)
  *   targetNodes          — Set[] per batch; destination pool for list detection
+ *   classInstances       — addr → Int32Array per batch; the vtable it points at (0 = none)
  *   basePointers         — addr → value[]; forward-scan starting points
- *   injectedTargets      — user-specified addresses to path-find
- *   structures           — detected list structures (consumed as achievements)
+ *   batchTargets         — user-specified target per batch (null = don't care)
+ *   batchGroups          — user-specified group name per batch ('' = none)
+ *   injectedTargets      — union of batchTargets; excluded from traversal bitmaps
+ *   structures           — detected list / tree / table / pool structures (consumed as achievements)
  *   entryPoints          — bridging nodes between structures and base pointers
  *   streamedOutput       — accumulated dynamic achievement text
  *   staticOutput         — accumulated static achievement text
@@ -37,20 +52,35 @@ class BDRAMScanner {
         // Scan parameters (overridden by UI before processBatches)
         this.minChainLength      = 15;
         this.maxGhostNodes       = 10;
+        this.minTableSlots       = 8;     // adjacent slots before a run counts as a pointer table
+        this.minPoolSlots        = 8;     // slots before a DynamicNode grid counts as an object pool
         this.maxBreadth          = '0xFFC';
         this.maxDepth            = 12;
+        this.maxStatesPerDepth   = 100;   // beam width per depth in the forward scan
         this.earlyOutBasePointer = false;
         this.earlyOutTarget      = false;
         this.skipStickyPointers  = true;
         this.enabledRanges       = [0];   // 0-based range indices; [0] = Range 1
+        this.rangeLayout         = null;  // user-defined ranges / exclusion zones (null = the system's)
+        this.scanMode            = 'forward';  // 'forward' (base → target) | 'reverse' (target → base)
+        this.reverseNegWindow    = '0x100';    // reverse mode: max negative offset per hop
+        this.reversePosWindow    = '0xFFC';    // reverse mode: max positive offset per hop
+        this.useWorkers          = true;       // forward scan across Web Workers when available
+        this.workerCount         = 0;          // 0 = derive from hardwareConcurrency
+        this.quorum              = 0;          // batches a node must be present in to be static (0 = all)
+        this.batchGroups         = [];         // group name per batch ('' = none)
+        this.groupAnalysis       = false;      // also scan each group of batches on its own
 
         // Node pools (populated by _ingestPreprocessorOutput + classifyNodes)
         this.batches           = [];
         this.staticStaticNodes = new Map();  // addr → value
-        this.staticNodes       = new Map();  // addr → number[]
+        this.staticNodes       = new Map();  // addr → number[]  (undefined = absent, below a full quorum)
         this.dynamicNodes      = new Map();  // addr → number[]  (sparse)
         this.targetNodes       = [];         // Set[] per batch
+        this.classInstances    = new Map();  // addr → Int32Array (vtable per batch, 0 = none)
         this.basePointers      = new Map();  // addr → number[]
+        this.batchIndexes      = null;       // Map[] per batch, addr → index (set for the scan)
+        this.batchTargets      = [];         // (number|null)[] per batch
         this.injectedTargets   = new Set();
 
         // Detection output
@@ -71,6 +101,18 @@ class BDRAMScanner {
         this.totalAchievementCount   = 0;
         this.processedBaseAddrs      = new Set();
         this.processedBaseAddrCount  = 0;
+        this.reportedRoots           = new Set();   // processedBaseAddrs once the scan is done
+        this.reportedStaticRoots     = new Set();   // roots of the static structures reported
+
+        // Run control (cancel / pause) and checkpointing
+        this.cancelRequested    = false;
+        this.paused             = false;
+        this._resumeWaiters     = [];
+        this.groupScanner       = null;   // group analysis scan in progress
+        this.checkpointsEnabled = true;
+        this.checkpointInterval = 1000;               // base pointers between checkpoints
+        this.checkpointRunId    = null;               // stamped on both checkpoint records
+        this.scanProgress       = { done: 0, total: 0 };
 
         // Legacy / internal
         this.vtableAnchors = new Set();
@@ -84,101 +126,237 @@ class BDRAMScanner {
     /**
      * Main pipeline.  The preprocessor must have called collapse() already.
      *
-     * @param {object}   preprocessorOutput  Result of Preprocessor.collapse()
-     * @param {number[]} targetAddresses      Optional specific addresses to path-find
+     * @param {object}          preprocessorOutput  Result of Preprocessor.collapse()
+     * @param {(number|null)[]} batchTargets        Optional target address per batch,
+     *                                              indexed like the collapsed batches.
+     *                                              null / missing = no target for that batch.
      */
-    async processBatches(preprocessorOutput, targetAddresses = []) {
+    async processBatches(preprocessorOutput, batchTargets = []) {
         const startTime = Date.now();
+        this._resetRunControl();
+
+        try {
+            const batchIndexes = await this._prepareScan(preprocessorOutput, batchTargets);
+            const result = await this._scanAndGenerate(batchIndexes, startTime);
+
+            if (this.groupAnalysis) {
+                result.groups         = await analyseBatchGroups(this, preprocessorOutput, batchTargets);
+                result.processingTime = ((Date.now() - startTime) / 1000).toFixed(1);
+            }
+            return result;
+
+        } catch (err) {
+            if (!err.details?.cancelled) console.error('Processing error:', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Stages 1 – 3 up to the base pointer set: ingest, filter, detect
+     * structures, and count the base pointers in range.  Shared by
+     * processBatches() and the scan time estimate (scan-estimator.js).
+     *
+     * @returns {Promise<Map<number,number>[]>} The batch indexes.
+     */
+    async _prepareScan(preprocessorOutput, batchTargets) {
         this.systemId     = preprocessorOutput.systemId;
         this.systemConfig = Config.getSystemConfig(this.systemId);
 
-        try {
-            // ------------------------------------------------------------------
-            // Stage 1 — Static List Detection
-            // ------------------------------------------------------------------
-            globalEventBus.emit('stage:update',    { stage: 'static-list', status: 'active' });
-            globalEventBus.emit('progress:update', { percent: 10, status: 'Ingesting batch data…' });
+        // ------------------------------------------------------------------
+        // Stage 1 — Static List Detection
+        // ------------------------------------------------------------------
+        globalEventBus.emit('stage:update',    { stage: 'static-list', status: 'active' });
+        globalEventBus.emit('progress:update', { percent: 10, status: 'Ingesting batch data…' });
 
-            this._ingestPreprocessorOutput(preprocessorOutput);
-            for (const t of targetAddresses) this.injectedTargets.add(t);
+        this._ingestPreprocessorOutput(preprocessorOutput);
+        this._bindBatchTargets(batchTargets);
 
-            globalEventBus.emit('progress:update', { percent: 11, status: 'Filtering VTable anchors…' });
-            this.detectAndRemoveVTableAnchors();
+        if (this.scanMode === 'reverse' && this.injectedTargets.size === 0) {
+            throw CoreUtils.createError(
+                'Reverse scan needs a target address in at least one batch',
+                'BDRAMScanner.processBatches'
+            );
+        }
 
-            globalEventBus.emit('progress:update', { percent: 15, status: 'Filtering close-proximity nodes…' });
-            this.removeCloseProximityNodes();
+        globalEventBus.emit('progress:update', { percent: 11, status: 'Filtering VTable anchors…' });
+        this.detectAndRemoveVTableAnchors();
 
-            globalEventBus.emit('progress:update', { percent: 20, status: 'Classifying nodes…' });
-            this.classifyNodes();
+        globalEventBus.emit('progress:update', { percent: 15, status: 'Filtering close-proximity nodes…' });
+        this.removeCloseProximityNodes();
 
-            globalEventBus.emit('progress:update', { percent: 25, status: 'Detecting static lists…' });
-            detectStaticLists(this);
+        globalEventBus.emit('progress:update', { percent: 20, status: 'Classifying nodes…' });
+        this.classifyNodes();
+        const batchIndexes = buildBatchIndexes(this);
 
-            globalEventBus.emit('stage:update',    { stage: 'static-list', status: 'completed' });
-            await _yield();
+        globalEventBus.emit('progress:update', { percent: 21, status: 'Detecting trees…' });
+        detectTrees(this);
 
-            // ------------------------------------------------------------------
-            // Stage 2 — Dynamic List Detection
-            // ------------------------------------------------------------------
-            globalEventBus.emit('stage:update',    { stage: 'dynamic-list', status: 'active' });
-            globalEventBus.emit('progress:update', { percent: 25, status: 'Detecting dynamic lists…' });
-            detectDynamicLists(this);
+        globalEventBus.emit('progress:update', { percent: 22, status: 'Detecting hash tables…' });
+        detectHashTables(this);
 
-            globalEventBus.emit('stage:update', { stage: 'dynamic-list', status: 'completed' });
-            await _yield();
+        globalEventBus.emit('progress:update', { percent: 23, status: 'Detecting pointer tables…' });
+        detectPointerTables(this);
 
-            // ------------------------------------------------------------------
-            // Stage 3 — Precomputation
-            // ------------------------------------------------------------------
-            globalEventBus.emit('stage:update',    { stage: 'precompute', status: 'active' });
-            globalEventBus.emit('progress:update', { percent: 26, status: 'Building base pointer set…' });
+        globalEventBus.emit('progress:update', { percent: 24, status: 'Detecting object pools…' });
+        detectObjectPools(this);
+        inferLayouts(this, this.structures, batchIndexes);
 
-            const batchIndexes = buildBatchIndexes(this);
-            buildBasePointerSet(this, batchIndexes);
+        globalEventBus.emit('progress:update', { percent: 25, status: 'Detecting static lists…' });
+        detectStaticLists(this, batchIndexes);
 
-            globalEventBus.emit('progress:update', { percent: 45, status: 'Precomputing offset bitmaps…' });
-            const bitmapCtx = buildTraversalBitmaps(this, batchIndexes);
+        globalEventBus.emit('stage:update',    { stage: 'static-list', status: 'completed' });
+        await _yield();
+        await this.checkControl();
+
+        // ------------------------------------------------------------------
+        // Stage 2 — Dynamic List Detection
+        // ------------------------------------------------------------------
+        globalEventBus.emit('stage:update',    { stage: 'dynamic-list', status: 'active' });
+        globalEventBus.emit('progress:update', { percent: 25, status: 'Detecting dynamic lists…' });
+        detectDynamicLists(this);
+        inferLayouts(this, this.structures, batchIndexes);
+
+        globalEventBus.emit('stage:update', { stage: 'dynamic-list', status: 'completed' });
+        await _yield();
+        await this.checkControl();
+
+        // ------------------------------------------------------------------
+        // Stage 3 — Precomputation
+        // ------------------------------------------------------------------
+        globalEventBus.emit('stage:update',    { stage: 'precompute', status: 'active' });
+        globalEventBus.emit('progress:update', { percent: 26, status: 'Building base pointer set…' });
+
+        buildBasePointerSet(this, batchIndexes);
+        let inRange = 0;
+        for (const addr of this.basePointers.keys()) if (this.isInScanRange(addr)) inRange++;
+        this.scanProgress = { done: 0, total: inRange };
+        return batchIndexes;
+    }
 
-            globalEventBus.emit('stage:update', { stage: 'precompute', status: 'completed' });
-            await _yield();
+    /**
+     * Stages 3 (bitmaps) – 5.  Shared by processBatches() and
+     * resumeFromCheckpoint(); expects basePointers and scanProgress set.
+     */
+    async _scanAndGenerate(batchIndexes, startTime) {
+        this.batchIndexes = batchIndexes;   // entry point layouts while streaming
 
-            // ------------------------------------------------------------------
-            // Stage 4 — Bitmap Scanning
-            // ------------------------------------------------------------------
-            globalEventBus.emit('stage:update',    { stage: 'bitmap-scan', status: 'active' });
+        // Reverse mode walks up from the targets and never needs bitmaps.
+        let bitmapCtx = null;
+        if (this.scanMode !== 'reverse') {
+            globalEventBus.emit('progress:update', { percent: 45, status: 'Precomputing offset bitmaps…' });
+            bitmapCtx = buildTraversalBitmaps(this, batchIndexes);
+        }
+
+        globalEventBus.emit('stage:update', { stage: 'precompute', status: 'completed' });
+        await _yield();
+        await this.checkControl();
+
+        // Forward scans are long enough to be worth resuming.
+        if (this.scanMode !== 'reverse') await this._saveScanCheckpoint();
+
+        // ------------------------------------------------------------------
+        // Stage 4 — Bitmap Scanning (or reverse walk from the targets)
+        // ------------------------------------------------------------------
+        globalEventBus.emit('stage:update', { stage: 'bitmap-scan', status: 'active' });
+        if (this.scanMode === 'reverse') {
+            globalEventBus.emit('progress:update', { percent: 46, status: 'Scanning back from targets…' });
+            await scanFromTargets(this, batchIndexes);
+        } else if (this.useWorkers && canUseScanWorkers()) {
+            globalEventBus.emit('progress:update', { percent: 46, status: 'Scanning base pointers in parallel…' });
+            await scanAllBasePointersParallel(this, batchIndexes, bitmapCtx);
+        } else {
             globalEventBus.emit('progress:update', { percent: 46, status: 'Scanning base pointers…' });
             await scanAllBasePointers(this, batchIndexes, bitmapCtx);
+        }
 
-            globalEventBus.emit('stage:update', { stage: 'bitmap-scan', status: 'completed' });
-            await _yield();
+        globalEventBus.emit('stage:update', { stage: 'bitmap-scan', status: 'completed' });
+        await _yield();
+        await this.checkControl();
+
+        // ------------------------------------------------------------------
+        // Stage 5 — Generating Achievements
+        // ------------------------------------------------------------------
+        globalEventBus.emit('stage:update', { stage: 'generate', status: 'active' });
+        globalEventBus.emit('progress:update', { percent: 96, status: 'Generating achievements…' });
+        this.streamAchievements();
+
+        const savedBatchCount     = this.batches.length;
+        const savedStructureCount = this.staticStructureCount +
+                                    this.dynamicStructureCount +
+                                    this.entryPointCount;
+
+        // Group analysis skips whatever already has an achievement.
+        this.reportedRoots = new Set(this.processedBaseAddrs);
+        this.clearNodePools('after_scan');
+        // The scan is done either way; a checkpoint that won't go is only stale
+        if (this.checkpointsEnabled) await CheckpointStore.clear().catch(err => console.warn(err.message));
+
+        return {
+            batchCount:     savedBatchCount,
+            structureCount: savedStructureCount,
+            processingTime: ((Date.now() - startTime) / 1000).toFixed(1),
+            structures:     this.structures,
+            targetPaths:    this.targetPaths,
+            staticOutput:   this.staticOutput,
+            streamedOutput: this.streamedOutput,
+            isStreamed:     true
+        };
+    }
 
-            // ------------------------------------------------------------------
-            // Stage 5 — Generating Achievements
-            // ------------------------------------------------------------------
-            globalEventBus.emit('stage:update', { stage: 'generate', status: 'active' });
-            globalEventBus.emit('progress:update', { percent: 96, status: 'Generating achievements…' });
-            this.streamAchievements();
+    /**
+     * Resume a forward scan saved by the checkpointing in scanTick() /
+     * checkControl().  Restores the scanner (and generator ID counters) to
+     * the checkpoint, rebuilds the indexes and bitmaps, and continues the
+     * base pointer scan with the ones that were still pending.
+     *
+     * @param {{ scan, progress }} checkpoint  From CheckpointStore.load().
+     */
+    async resumeFromCheckpoint(checkpoint) {
+        const startTime = Date.now();
+        const { scan, progress } = checkpoint;
+        this._resetRunControl();
+
+        try {
+            globalEventBus.emit('stage:update',    { stage: 'static-list',  status: 'skipped' });
+            globalEventBus.emit('stage:update',    { stage: 'dynamic-list', status: 'skipped' });
+            globalEventBus.emit('stage:update',    { stage: 'precompute',   status: 'active' });
+            globalEventBus.emit('progress:update', { percent: 26, status: 'Restoring checkpoint…' });
+
+            this.systemId        = scan.systemId;
+            this.systemConfig    = Config.getSystemConfig(this.systemId);
+            this.checkpointRunId = scan.runId;
+            Object.assign(this, scan.settings);
+
+            this.batches           = scan.batches;
+            this.staticStaticNodes = new Map();
+            scan.staticStatics.addresses.forEach((addr, i) => this.staticStaticNodes.set(addr, scan.staticStatics.values[i]));
+            this._bindBatchTargets(scan.batchTargets);
+            this.targetNodes       = scan.targetNodes.map(addrs => new Set(addrs));
+            this.classInstances    = new Map();
+            scan.classInstances?.addresses.forEach((addr, i) => this.classInstances.set(addr, scan.classInstances.values[i]));
+
+            const B = this.batches.length;
+            this.basePointers = new Map();
+            progress.basePointers.addresses.forEach((addr, i) =>
+                this.basePointers.set(addr, Array.from(progress.basePointers.values.subarray(i * B, (i + 1) * B)))
+            );
 
-            const savedBatchCount     = this.batches.length;
-            const savedStructureCount = this.staticStructureCount +
-                                        this.dynamicStructureCount +
-                                        this.entryPointCount;
+            this.structures         = progress.structures;
+            this.entryPoints        = progress.entryPoints;
+            this.targetPaths        = progress.targetPaths;
+            this.staticOutput       = progress.staticOutput;
+            this.streamedOutput     = progress.streamedOutput;
+            this.processedBaseAddrs = new Set(progress.processedBaseAddrs);
+            Object.assign(this, progress.counts);
+            if (this.generator) Object.assign(this.generator, progress.generatorIds);
 
-            this.clearNodePools('after_scan');
+            this.scanProgress = { done: progress.done, total: progress.total };
+            console.log(`Resuming scan at base pointer ${progress.done}/${progress.total}`);
 
-            return {
-                batchCount:     savedBatchCount,
-                structureCount: savedStructureCount,
-                processingTime: ((Date.now() - startTime) / 1000).toFixed(1),
-                structures:     this.structures,
-                targetPaths:    this.targetPaths,
-                staticOutput:   this.staticOutput,
-                streamedOutput: this.streamedOutput,
-                isStreamed:     true
-            };
+            return await this._scanAndGenerate(buildBatchIndexes(this), startTime);
 
         } catch (err) {
-            console.error('Processing error:', err);
+            if (!err.details?.cancelled) console.error('Processing error:', err);
             throw err;
         }
     }
@@ -203,16 +381,17 @@ class BDRAMScanner {
         const n = output.batchCount;
         this.batches = Array.from({ length: n }, () => ({ addresses: [], values: [] }));
 
-        // StaticStatics — value is the same in every batch.
-        const { addresses: ssA, values: ssV } = output.staticStatics;
+        // StaticStatics — value is the same in every batch it is present in.
+        const { addresses: ssA, values: ssV, masks: ssM } = output.staticStatics;
         for (let i = 0; i < ssA.length; i++) {
             for (let b = 0; b < n; b++) {
+                if ((ssM[i] & (1 << b)) === 0) continue;
                 this.batches[b].addresses.push(ssA[i]);
                 this.batches[b].values.push(ssV[i]);
             }
         }
 
-        // StaticNodes — one value per batch, all non-zero.
+        // StaticNodes — one value per batch, 0 = absent (below a full quorum).
         const { addresses: snA, values: snV } = output.staticNodes;
         for (let i = 0; i < snA.length; i++) {
             for (let b = 0; b < n; b++) {
@@ -234,11 +413,75 @@ class BDRAMScanner {
             }
         }
 
+        // Class instances — kept apart: their vtable slots never enter the pools.
+        this.classInstances = new Map();
+        const { addresses: ciA, values: ciV } = output.classInstances || { addresses: [], values: [] };
+        for (let i = 0; i < ciA.length; i++) this.classInstances.set(ciA[i], ciV[i]);
+
         for (let b = 0; b < n; b++) {
             // Batch nodes ingested
         }
     }
 
+    /**
+     * Bind user targets to the batch they were entered for.
+     *
+     * Targets are normalised to the signed 32-bit form used by the collapsed
+     * typed arrays so they compare equal to ingested addresses.
+     */
+    _bindBatchTargets(batchTargets) {
+        this.batchTargets = Array.from({ length: this.batches.length }, (_, b) => {
+            const t = batchTargets[b];
+            return (t === null || t === undefined || t === 0) ? null : (t | 0);
+        });
+
+        this.injectedTargets = new Set(this.batchTargets.filter(t => t !== null));
+    }
+
+    /** Batches a node or path must be present in: see CoreUtils.quorumSize. */
+    quorumSize() {
+        return CoreUtils.quorumSize(this.quorum, this.batches.length);
+    }
+
+    /**
+     * True if these per-batch addresses land exactly on every batch's own
+     * target.  Batches without a target don't constrain the match, but at
+     * least one batch must have one.
+     *
+     * @param {number[]} addrs  One address per batch, same order as this.batches.
+     */
+    matchesBatchTargets(addrs) {
+        let constrained = false;
+        for (let b = 0; b < this.batchTargets.length; b++) {
+            const t = this.batchTargets[b];
+            if (t === null) continue;
+            if (addrs[b] !== t) return false;
+            constrained = true;
+        }
+        return constrained;
+    }
+
+    /**
+     * Display record for a path that landed on the batch targets.  Shared by
+     * both scan directions.  Addresses are shown unsigned (the collapsed
+     * typed arrays store them signed); negative offsets keep their sign.
+     *
+     * @param {number}   baseAddress
+     * @param {number[]} path  Offsets applied after each dereference.
+     */
+    formatTargetPath(baseAddress, path) {
+        const hex     = n => `0x${(n >>> 0).toString(16).toUpperCase()}`;
+        const targets = this.batchTargets.map(t => (t === null ? null : hex(t)));
+        return {
+            basePointer:   hex(baseAddress),
+            path:          path.map((o, i) =>
+                `${'+'.repeat(i + 1)}${o < 0 ? '-' : ''}0x${Math.abs(o).toString(16).toUpperCase()}`
+            ).join(' '),
+            targetAddress: targets.find(t => t !== null),
+            batchTargets:  targets
+        };
+    }
+
     // =========================================================================
     // Filter stubs (actual filtering done in Preprocessor.addBatch)
     // =========================================================================
@@ -258,11 +501,14 @@ class BDRAMScanner {
     /**
      * Partition the ingested batch data into three pools:
      *
-     *   staticStaticNodes — address present in every batch with the same value.
-     *   staticNodes       — address present in every batch, values differ.
+     *   staticStaticNodes — address present in a quorum of batches, same value.
+     *   staticNodes       — address present in a quorum of batches, values
+     *                       differ (undefined where absent).
      *   (dynamic nodes remain implicit; they are handled as a residual.)
      *
-     * targetNodes is initialised here with any injected user targets.
+     * The quorum is every batch unless this.quorum lowers it.
+     *
+     * targetNodes is initialised here with each batch's own user target.
      */
     classifyNodes() {
         // First pass: union all addresses across batches.
@@ -281,26 +527,32 @@ class BDRAMScanner {
         // Second pass: classify.
         this.staticNodes       = new Map();
         this.staticStaticNodes = new Map();
+        const quorum = this.quorumSize();
 
         for (const [addr, vals] of allNodes) {
-            // Must be present (non-zero) in every batch to be Static.
-            if (!vals.every(v => v !== undefined && v !== 0)) continue;
+            // Must be present (non-zero) in a quorum of batches to be Static.
+            // Arrays are sparse, so count with a loop rather than every().
+            let present = 0, first, same = true;
+            for (let b = 0; b < vals.length; b++) {
+                const v = vals[b];
+                if (v === undefined || v === 0) continue;
+                present++;
+                if (first === undefined) first = v;
+                else if (v !== first) same = false;
+            }
+            if (present < quorum) continue;
 
-            const first = vals[0];
-            if (vals.every(v => v === first)) {
-                // Same value across all batches → StaticStatic.
+            if (same) {
+                // Same value in every batch it's in → StaticStatic.
                 this.staticStaticNodes.set(addr, first);
             } else {
                 // Different values → StaticNode.
-                this.staticNodes.set(addr, vals);
+                this.staticNodes.set(addr, Array.from(vals));
             }
         }
 
-        // Initialise per-batch target pools with injected targets.
-        this.targetNodes = Array.from(
-            { length: this.batches.length },
-            () => new Set(this.injectedTargets)
-        );
+        // Initialise per-batch target pools with that batch's target only.
+        this.targetNodes = this.batchTargets.map(t => new Set(t === null ? [] : [t]));
 
         // Classification complete
     }
@@ -321,7 +573,8 @@ class BDRAMScanner {
             const batchNodeCount = this.batches.reduce(
                 (s, b) => s + (b.addresses?.length || 0), 0
             );
-            this.batches = [];
+            this.batches      = [];
+            this.batchIndexes = null;
             // Cleared batch nodes
 
             const bpCount = this.basePointers.size;
@@ -343,6 +596,173 @@ class BDRAMScanner {
             const tnCount = this.targetNodes.reduce((s, pool) => s + pool.size, 0);
             this.targetNodes = [];
             // Cleared target nodes
+
+            this.classInstances.clear();
+        }
+    }
+
+    // =========================================================================
+    // Run control (cancel / pause / resume) and checkpoints
+    // =========================================================================
+
+    /** Stop the running scan at the next check; processing rejects with details.cancelled. */
+    cancel() {
+        this.cancelRequested = true;
+        this.groupScanner?.cancel();
+        this.resume();
+    }
+
+    /** Hold the running scan at the next check (a checkpoint is saved while held). */
+    pause() {
+        this.paused = true;
+        this.groupScanner?.pause();
+    }
+
+    resume() {
+        this.paused = false;
+        this.groupScanner?.resume();
+        this._resumeWaiters.splice(0).forEach(wake => wake());
+    }
+
+    _resetRunControl() {
+        this.cancelRequested = false;
+        this.paused          = false;
+        this._resumeWaiters  = [];
+    }
+
+    /**
+     * Honour cancel / pause between units of work.  Throws if cancel() was
+     * called; while paused, saves a checkpoint (when the caller can say what
+     * is left) and waits for resume().
+     *
+     * @param {Function|null} remaining  () → iterable of [address, values]
+     *                                   still to scan, or null outside stage 4.
+     */
+    async checkControl(remaining = null) {
+        if (this.paused) {
+            if (remaining) await this.saveCheckpoint(remaining);
+            globalEventBus.emit('progress:update', {
+                percent: null,
+                status:  `Paused at base pointer ${this.scanProgress.done}/${this.scanProgress.total}`
+            });
+            await new Promise(wake => this._resumeWaiters.push(wake));
+        }
+        if (this.cancelRequested) {
+            throw CoreUtils.createError('Scan cancelled', 'BDRAMScanner', { cancelled: true });
+        }
+    }
+
+    /**
+     * Called by the scan drivers after each base pointer: streams achievements
+     * and checkpoints every checkpointInterval base pointers, then honours
+     * cancel / pause.
+     *
+     * @param {Function} remaining  () → iterable of [address, values] still to scan.
+     */
+    async scanTick(remaining) {
+        const done = ++this.scanProgress.done;
+
+        // Stream achievements every 1 000 to control memory.
+        if (done % this.checkpointInterval === 0) {
+            this.streamAchievements();
+            this.logMemoryStats(`BP ${done}`);
+            await this.saveCheckpoint(remaining);
+        }
+
+        await this.checkControl(remaining);
+    }
+
+    /** Save the half of the checkpoint that doesn't change during the scan. */
+    async _saveScanCheckpoint() {
+        if (!this.checkpointsEnabled) return;
+
+        // Ties this scan's progress records to it (see CheckpointStore.load)
+        this.checkpointRunId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+        const ss = [...this.staticStaticNodes];
+        try {
+            await CheckpointStore.saveScan({
+                version:  1,
+                runId:    this.checkpointRunId,
+                savedAt:  new Date().toISOString(),
+                systemId: this.systemId,
+                settings: {
+                    maxBreadth:          this.maxBreadth,
+                    maxDepth:            this.maxDepth,
+                    maxStatesPerDepth:   this.maxStatesPerDepth,
+                    earlyOutBasePointer: this.earlyOutBasePointer,
+                    earlyOutTarget:      this.earlyOutTarget,
+                    skipStickyPointers:  this.skipStickyPointers,
+                    enabledRanges:       Array.from(this.enabledRanges),
+                    rangeLayout:         this.rangeLayout,
+                    scanMode:            this.scanMode,
+                    useWorkers:          this.useWorkers,
+                    quorum:              this.quorum
+                },
+                batches: this.batches.map(b => ({
+                    addresses: Int32Array.from(b.addresses),
+                    values:    Int32Array.from(b.values)
+                })),
+                staticStatics: {
+                    addresses: Int32Array.from(ss, ([addr]) => addr),
+                    values:    Int32Array.from(ss, ([, val]) => val)
+                },
+                batchTargets: this.batchTargets,
+                targetNodes:  this.targetNodes.map(pool => [...pool]),
+                classInstances: {
+                    addresses: Int32Array.from(this.classInstances.keys()),
+                    values:    [...this.classInstances.values()]
+                }
+            });
+        } catch (err) {
+            console.warn(err.message);
+        }
+    }
+
+    /**
+     * Save the progress half of the checkpoint.
+     *
+     * @param {Function} remaining  () → iterable of [address, values] still to scan.
+     */
+    async saveCheckpoint(remaining) {
+        if (!this.checkpointsEnabled) return;
+
+        const B       = this.batches.length;
+        const pending = [...remaining()];
+        const values  = new Int32Array(pending.length * B);
+        pending.forEach(([, vals], i) => values.set(vals, i * B));
+
+        try {
+            await CheckpointStore.saveProgress({
+                runId:        this.checkpointRunId,
+                savedAt:      new Date().toISOString(),
+                done:         this.scanProgress.done,
+                total:        this.scanProgress.total,
+                basePointers: { addresses: Int32Array.from(pending, ([addr]) => addr), values },
+                structures:   this.structures,
+                entryPoints:  this.entryPoints,
+                targetPaths:  this.targetPaths,
+                staticOutput:   this.staticOutput,
+                streamedOutput: this.streamedOutput,
+                processedBaseAddrs: [...this.processedBaseAddrs],
+                counts: {
+                    staticStructureCount:    this.staticStructureCount,
+                    dynamicStructureCount:   this.dynamicStructureCount,
+                    entryPointCount:         this.entryPointCount,
+                    staticAchievementCount:  this.staticAchievementCount,
+                    dynamicAchievementCount: this.dynamicAchievementCount,
+                    totalAchievementCount:   this.totalAchievementCount,
+                    processedBaseAddrCount:  this.processedBaseAddrCount
+                },
+                generatorIds: this.generator ? {
+                    staticId:  this.generator.staticId,
+                    targetId:  this.generator.targetId,
+                    regularId: this.generator.regularId
+                } : {}
+            });
+        } catch (err) {
+            // A failed checkpoint must never kill the scan itself.
+            console.warn(err.message);
         }
     }
 
@@ -362,6 +782,8 @@ class BDRAMScanner {
 
         if (unprocessedEPs.length === 0 && unprocessedSts.length === 0) return;
 
+        if (this.batchIndexes) inferLayouts(this, unprocessedEPs, this.batchIndexes);
+
         const batch        = [...unprocessedSts, ...unprocessedEPs];
         const achievements = this.generator.generateAchievements(batch);
 
@@ -415,16 +837,23 @@ class BDRAMScanner {
     // Address validation (used by forward-scanner)
     // =========================================================================
 
+    // Collapsed addresses are Int32 (0x80000000+ reads back negative), so
+    // compare as unsigned against the configured ranges.
     isValidAddress(value) {
         if ((value & 3) !== 0) return false;
         if (!this.isInScanRange(value)) return false;
+        value = value >>> 0;
         const min = this.systemConfig?.memoryRange?.min ?? 0x80000000;
         const max = this.systemConfig?.memoryRange?.max ?? 0x807FFFFF;
         return value >= min && value <= max;
     }
 
+    // Exclusion zones win over the enabled ranges.
     isInScanRange(value) {
-        const allRanges = Config.getRanges(this.systemId);
+        value = value >>> 0;
+        if (Config.isExcluded(this.systemId, value, this.rangeLayout)) return false;
+
+        const allRanges = Config.getRanges(this.systemId, this.rangeLayout);
         if (!allRanges || allRanges.length === 0) return true;
 
         const enabled = this.enabledRanges;
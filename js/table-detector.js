@@ -0,0 +1,453 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Table Detector
+ *
+ * Finds arrays of pointers: consecutive 4-byte slots that each point at an
+ * object of the same type, like an actor slot table or a resource table, and
+ * hash tables, whose slots each head a short chain.  List detection can't
+ * see either — no slot points at another slot, and the chains are short.
+ *
+ * Pointer tables
+ * --------------
+ * Candidates are runs of adjacent slots (addr, addr+4, addr+8, …) across the
+ * StaticStatic and StaticNode pools.  A run is a table if its targets share
+ * one of:
+ *
+ *   common stride  every target sits on the same grid: base + k × stride,
+ *                  in any order, where stride is the gap between most
+ *                  neighbouring targets.  Checked per batch; the stride has
+ *                  to be the same in every batch.
+ *   common layout  the targets moved between batches, but all by the same
+ *                  amount — the objects are one block that got reallocated
+ *                  (targetLayout 'block'; the stride is reported if there is one).
+ *
+ * The longest stretch of the run that fits is kept, so a pointer field just
+ * before or after a table doesn't spoil it.  At least MIN_TARGET_NODE_SHARE
+ * of the stretch's targets must be nodes themselves (present in their
+ * batch, or class instances whose vtable word the anchor filter removed);
+ * a run of constants pointing into empty memory is not a table.
+ *
+ * Tables sit at fixed addresses, so they are reported with the static
+ * structures whether or not their targets move.  StaticStatic slots are
+ * consumed; StaticNode slots stay in the pool because a table entry is
+ * exactly the kind of base pointer the forward scan wants to start from.
+ *
+ * Hash tables
+ * -----------
+ * A bucket array is a table whose slots each head a short chain of entries
+ * linked through one next offset.  The chains are far below minChainLength,
+ * so list detection never sees them.  Empty buckets are null, so bucket
+ * slots come and go between batches: runs are taken from every batch's
+ * full address set and may skip up to maxGhostNodes empty buckets in a row.
+ * For each next offset, every bucket's chain is walked in every batch; a
+ * chain that loops or reaches minChainLength rules its bucket out.  The
+ * offset whose clean stretch holds the most entries wins, provided
+ *   - the entries, heads and chained alike, sit on a common grid of at
+ *     least MIN_ENTRY_GRID bytes in every batch: they are same-sized
+ *     objects, so the distance between any two is a multiple of one size
+ *     (random pointers almost never are),
+ *   - no entry sits in two buckets,
+ *   - at least two buckets chain, and not every chain is the same length
+ *     (a pointer field every entry carries would give all lengths 2), and
+ *   - some bucket's head changes between batches.
+ * Hash tables run first, so their buckets aren't reported as a pointer
+ * table as well.  The generator watches every bucket slot, empty ones too.
+ * =============================================================================
+ */
+
+'use strict';
+
+// Smallest object size hash table entries may have (see _commonGrid).
+const MIN_ENTRY_GRID = 0x10;
+
+// Share of a pointer table's targets that must be nodes (see _targetNodeShare).
+const MIN_TARGET_NODE_SHARE = 0.5;
+
+/**
+ * Detect pointer tables and add them to scanner.structures.
+ *
+ * @param {BDRAMScanner} sc
+ */
+function detectPointerTables(sc) {
+    const B = sc.batches.length;
+
+    const valuesOf = addr => sc.staticNodes.get(addr) ||
+                             new Array(B).fill(sc.staticStaticNodes.get(addr));
+    const batchIndexes = buildBatchIndexes(sc);
+    const isNode = (addr, b) => batchIndexes[b].has(addr) || !!sc.classInstances.get(addr)?.[b];
+
+    // Hash table buckets are tables already.
+    const claimed = new Set(sc.structures.flatMap(s => s.addresses));
+    const addrs = [...sc.staticStaticNodes.keys(), ...sc.staticNodes.keys()]
+        .filter(addr => !claimed.has(addr) && !sc.targetNodes.some(pool => pool.has(addr)))
+        .sort((a, b) => a - b);
+
+    let count = 0;
+    for (let i = 0; i < addrs.length; ) {
+        // Extend a run of adjacent slots.
+        let j = i + 1;
+        while (j < addrs.length && addrs[j] === addrs[j - 1] + 4) j++;
+
+        if (j - i >= sc.minTableSlots) {
+            const slots  = addrs.slice(i, j);
+            const values = slots.map(valuesOf);
+            const table  = _fitPointerTable(values, sc.minTableSlots);
+            if (table && _targetNodeShare(values.slice(table.from, table.to), isNode) >= MIN_TARGET_NODE_SHARE) {
+                const tableSlots = slots.slice(table.from, table.to);
+                const varying    = tableSlots.some(addr => sc.staticNodes.has(addr));
+
+                sc.structures.push({
+                    id:           sc.structures.length + 1,
+                    type:         'pointer_table',
+                    root:         tableSlots[0],
+                    nodeCount:    tableSlots.length,
+                    validCount:   tableSlots.length,
+                    ghostCount:   0,
+                    slotCount:    tableSlots.length,
+                    targetStride: table.stride,
+                    targetLayout: table.layout,
+                    varying,
+                    stride:       4,
+                    addresses:    tableSlots,
+                    ghosts:       [],
+                    static:       true,
+                    buildOffset:  0
+                });
+
+                for (const addr of tableSlots) {
+                    if (!sc.staticStaticNodes.delete(addr)) continue;
+                    for (let b = 0; b < B; b++) sc.targetNodes[b].add(addr);
+                }
+                count++;
+            }
+        }
+        i = j;
+    }
+
+    console.log(`Detected ${count} pointer tables`);
+}
+
+/**
+ * Detect hash tables (bucket arrays) and add them to scanner.structures.
+ * Runs before detectPointerTables, which skips the bucket slots found here.
+ *
+ * @param {BDRAMScanner} sc
+ */
+function detectHashTables(sc) {
+    const B = sc.batches.length;
+
+    // Each batch's own values: a bucket slot is absent while its bucket is empty.
+    const batchIndexes = buildBatchIndexes(sc);
+    const getVals = batchIndexes.map((idx, b) => addr => {
+        const i = idx.get(addr);
+        return i === undefined ? undefined : sc.batches[b].values[i];
+    });
+
+    const pool = new Set();
+    for (const idx of batchIndexes) {
+        for (const addr of idx.keys()) pool.add(addr);
+    }
+    const addrs = [...pool]
+        .filter(addr => !sc.targetNodes.some(p => p.has(addr)))
+        .sort((a, b) => a - b);
+
+    const maxGap = 4 * (sc.maxGhostNodes + 1);
+    let count = 0;
+    for (let i = 0; i < addrs.length; ) {
+        // Extend a run of slots, allowing up to maxGhostNodes empty buckets in a row.
+        let j = i + 1;
+        while (j < addrs.length && addrs[j] - addrs[j - 1] <= maxGap &&
+               (addrs[j] - addrs[j - 1]) % 4 === 0) j++;
+
+        const slots = addrs.slice(i, j);
+        const table = _bucketCount(slots) >= sc.minTableSlots &&
+                      _fitHashTable(slots, getVals, sc);
+        if (table) {
+            const buckets = _bucketSlots(table.slots);
+            const entries = table.entryCounts;
+
+            sc.structures.push({
+                id:           sc.structures.length + 1,
+                type:         'hash_table',
+                root:         buckets[0],
+                nodeCount:    buckets.length,
+                validCount:   buckets.length,
+                ghostCount:   0,
+                bucketCount:  buckets.length,
+                entryCount:   Math.max(...entries),
+                entryCounts:  entries,
+                maxChain:     table.maxChain,
+                nextOffset:   table.nextOffset,
+                stride:       4,
+                addresses:    buckets,
+                ghosts:       [],
+                static:       true,
+                buildOffset:  table.nextOffset
+            });
+
+            // As with pointer tables, only the StaticStatic heads are consumed.
+            for (const addr of table.slots) {
+                if (!sc.staticStaticNodes.delete(addr)) continue;
+                for (let b = 0; b < B; b++) sc.targetNodes[b].add(addr);
+            }
+            count++;
+        }
+        i = j;
+    }
+
+    console.log(`Detected ${count} hash tables`);
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Longest stretch of a run whose targets share a stride or a layout.
+ *
+ * @param {number[][]} values   Per slot, the value in each batch.
+ * @param {number}     minSlots
+ * @returns {{ from: number, to: number, stride: number|null, layout: 'stride'|'block' } | null}
+ *          from / to index into the run (to exclusive).
+ */
+function _fitPointerTable(values, minSlots) {
+    const B = values[0].length;
+
+    // Common stride: per batch, then intersect.
+    let from = 0, to = values.length, stride = null;
+    for (let b = 0; b < B; b++) {
+        const fit = _strideStretch(values.map(v => v[b]));
+        if (!fit || (stride !== null && fit.stride !== stride)) {
+            stride = null;
+            break;
+        }
+        stride = fit.stride;
+        from   = Math.max(from, fit.from);
+        to     = Math.min(to, fit.to);
+    }
+    if (stride !== null && to - from >= minSlots) {
+        return { from, to, stride, layout: 'stride' };
+    }
+
+    // Common layout: every slot shifted by the same amount in each batch.
+    const shiftKeys = values.map(v => v.map(x => x - v[0]).join(','));
+    const moved     = key => key.split(',').some(s => s !== '0');
+    const best      = _longestStretch(shiftKeys.map(key => moved(key) ? key : null));
+    if (best && best.to - best.from >= minSlots) {
+        const grid = _targetStride(values.slice(best.from, best.to).map(v => v[0]));
+        return { from: best.from, to: best.to, stride: grid, layout: 'block' };
+    }
+
+    return null;
+}
+
+/**
+ * Share of a table's targets, over every slot and batch, that are nodes in
+ * that batch.
+ *
+ * @param {number[][]} values  Per slot, the value in each batch.
+ * @param {function}   isNode  (addr, batch) → boolean
+ * @returns {number}
+ */
+function _targetNodeShare(values, isNode) {
+    let nodes = 0, total = 0;
+    for (const v of values) {
+        v.forEach((target, b) => {
+            total++;
+            if (isNode(target, b)) nodes++;
+        });
+    }
+    return nodes / total;
+}
+
+/**
+ * Longest stretch of targets on one grid (same stride, same residue).
+ *
+ * @param {number[]} targets
+ * @returns {{ from: number, to: number, stride: number } | null}
+ */
+function _strideStretch(targets) {
+    const stride = _targetStride(targets);
+    if (stride === null) return null;
+
+    // Most common residue is the grid; stretches are slots on it.
+    const residues = targets.map(t => (t >>> 0) % stride);
+    const freq = new Map();
+    for (const r of residues) freq.set(r, (freq.get(r) || 0) + 1);
+    const grid = [...freq].reduce((best, e) => e[1] > best[1] ? e : best)[0];
+
+    const best = _longestStretch(residues.map(r => r === grid ? grid : null));
+    return best && { ...best, stride };
+}
+
+/**
+ * The gap between most neighbouring targets (sorted, distinct), or null if
+ * no gap covers at least half of them.
+ *
+ * @param {number[]} targets
+ * @returns {number|null}
+ */
+function _targetStride(targets) {
+    const sorted = [...new Set(targets.map(t => t >>> 0))].sort((a, b) => a - b);
+    if (sorted.length < 2) return null;
+
+    const freq = new Map();
+    for (let i = 1; i < sorted.length; i++) {
+        const gap = sorted[i] - sorted[i - 1];
+        freq.set(gap, (freq.get(gap) || 0) + 1);
+    }
+    const [gap, n] = [...freq].reduce((best, e) => e[1] > best[1] ? e : best);
+    return gap >= 4 && n * 2 >= sorted.length - 1 ? gap : null;
+}
+
+/**
+ * Best stretch of a run of bucket slots: the next offset whose chains are
+ * clean in every batch and hold the most entries.
+ *
+ * @param {number[]}   slots    Sorted head slots (any batch).
+ * @param {function[]} getVals  One addr → number|undefined accessor per batch.
+ * @param {BDRAMScanner} sc
+ * @returns {{ slots: number[], nextOffset: number, entryCounts: number[], maxChain: number } | null}
+ */
+function _fitHashTable(slots, getVals, sc) {
+    // Entries are same-sized objects, so the heads alone must already sit on
+    // a common grid.  Rules out most runs before any walk.
+    const heads = getVals.map(getVal => slots.map(getVal).filter(v => v !== undefined));
+    if (heads.some(h => _commonGrid(h) < MIN_ENTRY_GRID)) return null;
+
+    let best = null;
+
+    for (let k = OFFSET_MIN; k <= OFFSET_MAX; k += OFFSET_STEP) {
+        // Per slot, its chain in every batch, or null if any batch's is bad.
+        const chains = slots.map(slot => {
+            const perBatch = getVals.map(getVal => _bucketChain(slot, k, getVal, sc.minChainLength));
+            return perBatch.every(c => c !== null) ? perBatch : null;
+        });
+
+        const stretch = _longestStretch(chains.map(c => c && true));
+        if (!stretch) continue;
+        const tableSlots = slots.slice(stretch.from, stretch.to);
+        if (_bucketCount(tableSlots) < sc.minTableSlots) continue;
+
+        const stats = _chainStats(chains.slice(stretch.from, stretch.to), tableSlots);
+        if (!stats) continue;
+
+        const total = stats.entryCounts.reduce((a, b) => a + b, 0);
+        if (!best || total > best.total) {
+            best = { slots: tableSlots, nextOffset: k, ...stats, total };
+        }
+    }
+
+    if (!best) return null;
+    const { total, ...table } = best;
+    return table;
+}
+
+/**
+ * Entries of one bucket in one batch: [] if empty, null if the chain loops or
+ * runs to minChainLength (that's a list, not a bucket).
+ *
+ * @returns {number[] | null}
+ */
+function _bucketChain(slot, nextOffset, getVal, minChainLength) {
+    let entry = getVal(slot);
+    const entries = [];
+    while (entry !== undefined) {
+        if (entries.includes(entry) || entries.length + 1 >= minChainLength) return null;
+        entries.push(entry);
+        entry = getVal(entry + nextOffset);
+    }
+    return entries;
+}
+
+/**
+ * Check a stretch's chains look like buckets and count their entries.
+ *
+ * Rejected if an entry sits in two buckets or in the bucket array itself,
+ * if a batch's entries aren't on a common grid (see _commonGrid),
+ * if fewer than two buckets ever chain, if every occupied bucket in every
+ * batch has the same length — that's a pointer field every entry carries,
+ * not a collision chain — or if no bucket's head changes between batches.
+ *
+ * @param {Array<number[][]>} chains  Per slot, its entries in each batch.
+ * @param {number[]}          slots
+ * @returns {{ entryCounts: number[], maxChain: number } | null}
+ */
+function _chainStats(chains, slots) {
+    const first = slots[0], last = slots[slots.length - 1];
+    const B = chains[0].length;
+
+    const entryCounts = [];
+    const lengths     = new Set();
+    let   chained     = 0;
+    let   maxChain    = 0;
+    let   changed     = false;
+    for (let b = 0; b < B; b++) {
+        const seen = new Set();
+        for (const perBatch of chains) {
+            const entries = perBatch[b];
+            for (const entry of entries) {
+                if (seen.has(entry) || (entry >= first && entry <= last)) return null;
+                seen.add(entry);
+            }
+            if (entries[0] !== perBatch[0][0]) changed = true;
+            if (entries.length > 0)  lengths.add(entries.length);
+            if (entries.length >= 2) chained++;
+            maxChain = Math.max(maxChain, entries.length);
+        }
+        if (_commonGrid([...seen]) < MIN_ENTRY_GRID) return null;
+        entryCounts.push(seen.size);
+    }
+
+    if (chained < 2 || lengths.size < 2 || !changed) return null;
+    return { entryCounts, maxChain };
+}
+
+/**
+ * Largest grid every target sits on: the GCD of their distances from the
+ * lowest.  0 for fewer than two distinct targets.
+ *
+ * @param {number[]} targets
+ * @returns {number}
+ */
+function _commonGrid(targets) {
+    const sorted = [...new Set(targets.map(t => t >>> 0))].sort((a, b) => a - b);
+    let grid = 0;
+    for (let i = 1; i < sorted.length; i++) {
+        let x = sorted[i] - sorted[0], y = grid;
+        while (y) [x, y] = [y, x % y];
+        grid = x;
+    }
+    return grid;
+}
+
+/** Number of buckets a run of slots spans, empty ones included. */
+function _bucketCount(slots) {
+    return slots.length === 0 ? 0 : (slots[slots.length - 1] - slots[0]) / 4 + 1;
+}
+
+/** Every bucket slot from the first to the last, empty ones included. */
+function _bucketSlots(slots) {
+    const buckets = [];
+    for (let addr = slots[0]; addr <= slots[slots.length - 1]; addr += 4) buckets.push(addr);
+    return buckets;
+}
+
+/**
+ * Longest stretch of equal, non-null keys.
+ *
+ * @param {Array<*>} keys
+ * @returns {{ from: number, to: number } | null}
+ */
+function _longestStretch(keys) {
+    let best = null;
+    for (let i = 0; i < keys.length; ) {
+        let j = i + 1;
+        if (keys[i] !== null) {
+            while (j < keys.length && keys[j] === keys[i]) j++;
+            if (!best || j - i > best.to - best.from) best = { from: i, to: j };
+        }
+        i = j;
+    }
+    return best;
+}
@@ -0,0 +1,320 @@
+/**
+ * =============================================================================
+ * BDRAM Scanner - Tree Detector
+ *
+ * Finds binary trees and other multi-child structures: objects with two
+ * child-pointer offsets (left/right, first-child/next-sibling) that repeat
+ * from node to node.  Sweeps the same offset range as list-detector.js.
+ *
+ * Model
+ * -----
+ * A tree object at base O keeps its child pointers in slots O+a and O+b, and
+ * each slot holds the base of a child object.  A null child is simply absent
+ * from the pool.  For a candidate offset pair (a, b):
+ *
+ *   children(O)  getVal(O+a), getVal(O+b) — whichever slots exist
+ *   leaf         a child with neither slot
+ *   root         an object no slot points at
+ *
+ * A pointer to the real root (say a global) makes the real root a child, and
+ * the pointer's own slot looks like an object with one child.  So a root
+ * with a single child is treated as that pointer and the tree starts one
+ * level down.
+ *
+ * Any two pointers a fixed distance apart also look like an object with two
+ * children, e.g. two neighbouring globals that each head an unrelated list.
+ * A root no pointer leads to therefore has to look like its own children:
+ * at least one of them must have both child slots as well.
+ *
+ * Candidate roots are found by climbing up from the forks (below).  From
+ * each root the children are walked breadth first.  The walk is a tree
+ * only if
+ *   - no object is reached twice (rules out doubly linked lists, whose prev
+ *     points back, rings and shared subtrees),
+ *   - it reaches at least minChainLength objects, and
+ *   - it has a fork: an object whose two children both have children.  This
+ *     keeps a plain list whose nodes each carry one extra pointer from
+ *     passing as a tree, and
+ *   - its root is a real object (above).
+ *
+ * Static trees come from the StaticStatic pool and leave with the static
+ * lists.  Dynamic trees are looked for in each batch's full address set:
+ * relinking a tree moves its null children around, so a node's child slots
+ * needn't exist in every batch and a StaticNode-only pool would miss them.
+ * A dynamic tree must hold in every batch, from the same root with the same
+ * offsets, and must not be made of StaticStatic slots alone.  Its addresses
+ * are the slots of every batch's tree, so the forward scan links entry
+ * points to it whichever batch it lands in.
+ *
+ * StaticStatic slots are consumed; StaticNode slots stay in the pool, as in
+ * table-detector.js, so a pointer into the tree is still a base pointer.
+ *
+ * Runs before list detection so a tree's left spine isn't taken as a list.
+ * =============================================================================
+ */
+
+'use strict';
+
+/**
+ * Detect static and dynamic trees and add them to scanner.structures.
+ * Their slots, StaticNodes excepted, are consumed into every batch's target
+ * pool.
+ *
+ * @param {BDRAMScanner} sc
+ */
+function detectTrees(sc) {
+    const B = sc.batches.length;
+    const consume = slots => {
+        for (const addr of slots) {
+            if (sc.staticNodes.has(addr)) continue;
+            sc.staticStaticNodes.delete(addr);
+            for (let b = 0; b < B; b++) sc.targetNodes[b].add(addr);
+        }
+    };
+
+    // Static: one value per slot, shared by every batch.
+    const staticPool = new Set(sc.staticStaticNodes.keys());
+    const staticTrees = _findTrees(staticPool, [addr => sc.staticStaticNodes.get(addr)], sc.minChainLength);
+
+    for (const tree of staticTrees) {
+        sc.structures.push({
+            id:          sc.structures.length + 1,
+            type:        'tree',
+            ...tree,
+            validCount:  tree.nodeCount,
+            ghostCount:  0,
+            stride:      _dominantStride(tree.addresses),
+            ghosts:      [],
+            static:      true,
+            buildOffset: tree.childOffsets[0]
+        });
+        consume(tree.addresses);
+    }
+
+    // Dynamic: each batch's own values, minus the static trees' slots.
+    const batchIndexes = buildBatchIndexes(sc);
+    const dynamicPool  = new Set();
+    for (const idx of batchIndexes) {
+        for (const addr of idx.keys()) {
+            if (!staticPool.has(addr) || sc.staticStaticNodes.has(addr)) dynamicPool.add(addr);
+        }
+    }
+    const getVals = batchIndexes.map((idx, b) => addr => {
+        const i = idx.get(addr);
+        return i === undefined ? undefined : sc.batches[b].values[i];
+    });
+
+    let dynamicCount = 0;
+    for (const tree of _findTrees(dynamicPool, getVals, sc.minChainLength)) {
+        // All-StaticStatic trees are static trees the static pass turned down.
+        if (tree.addresses.every(addr => sc.staticStaticNodes.has(addr))) continue;
+
+        sc.structures.push({
+            id:          sc.structures.length + 1,
+            type:        'tree',
+            ...tree,
+            stride:      tree.childOffsets[0],
+            static:      false,
+            buildOffset: tree.childOffsets[0]
+        });
+        consume(tree.addresses);
+        dynamicCount++;
+    }
+
+    console.log(`Detected ${staticTrees.length} static trees, ${dynamicCount} dynamic trees`);
+}
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Find trees in a pool that hold for every value accessor given.
+ *
+ * @param {Set<number>} pool     Slot addresses (any batch).
+ * @param {function[]}  getVals  One addr → number|undefined accessor per batch;
+ *                               undefined = no slot there in that batch.
+ * @param {number}      minNodes
+ * @returns {object[]}  { root, childOffsets, nodeCount, depth, addresses }
+ *                      nodeCount / depth are the largest seen in any batch;
+ *                      addresses (sorted) are the slots of every batch's tree.
+ */
+function _findTrees(pool, getVals, minNodes) {
+    // Reverse index for the first batch: pointer value → slots holding it.
+    const holders = new Map();
+    for (const slot of pool) {
+        const val = getVals[0](slot);
+        if (val === undefined) continue;
+        const held = holders.get(val);
+        if (held) held.push(slot);
+        else      holders.set(val, [slot]);
+    }
+
+    // Candidate roots for every offset pair, from the first batch.  Only roots
+    // above a fork can pass, so climb from the forks instead of walking
+    // down from every object in the pool.
+    const candidates = [];
+    for (let a = OFFSET_MIN; a <= OFFSET_MAX; a += OFFSET_STEP) {
+        for (let b = a + OFFSET_STEP; b <= OFFSET_MAX; b += OFFSET_STEP) {
+            const offsets = [a, b];
+            const forks   = _findForks(pool, offsets, getVals[0]);
+            if (forks.length === 0) continue;
+
+            for (const root of _rootsAbove(forks, offsets, holders)) {
+                const walk = _walkTree(root, offsets, getVals[0], null);
+                if (walk && walk.forked && walk.realRoot && walk.objects.length >= minNodes) {
+                    candidates.push({ root, offsets, size: walk.objects.length });
+                }
+            }
+        }
+    }
+
+    // Biggest tree wins, smallest root breaks ties (as resolveChainConflicts).
+    // A misaligned pair can make a subtree look like a tree of its own; the
+    // real tree is always larger.
+    candidates.sort((x, y) => (y.size - x.size) || (x.root - y.root));
+
+    const trees   = [];
+    const claimed = new Set();   // objects already in a tree
+    for (const { root, offsets } of candidates) {
+        if (claimed.has(root)) continue;
+
+        const walks = [];
+        for (const getVal of getVals) {
+            const walk = _walkTree(root, offsets, getVal, claimed);
+            if (!walk || walk.objects.length < minNodes || !walk.forked || !walk.realRoot) break;
+            walks.push(walk);
+        }
+        if (walks.length !== getVals.length) continue;
+
+        const slots = new Set();
+        for (const walk of walks) {
+            for (const obj of walk.objects) claimed.add(obj);
+            for (const slot of walk.slots) slots.add(slot);
+        }
+        trees.push({
+            root:         walks[0].root,
+            childOffsets: offsets,
+            nodeCount:    Math.max(...walks.map(w => w.objects.length)),
+            depth:        Math.max(...walks.map(w => w.depth)),
+            addresses:    [...slots].sort((x, y) => x - y)
+        });
+    }
+
+    return trees;
+}
+
+/**
+ * Objects whose two children both have children of their own.
+ *
+ * @returns {number[]}
+ */
+function _findForks(pool, offsets, getVal) {
+    const [a, b] = offsets;
+    const forks  = [];
+    for (const slot of pool) {
+        const obj = slot - a;
+        if (!pool.has(obj + b)) continue;
+        const kids = _treeChildren(obj, offsets, getVal);
+        if (kids.length === 2 && kids.every(kid => _hasSlot(kid, offsets, getVal))) forks.push(obj);
+    }
+    return forks;
+}
+
+/**
+ * Every object no slot points at, reachable upwards from the forks.  A slot
+ * holding obj makes both (slot - a) and (slot - b) possible parents.
+ *
+ * @param {number[]}              forks
+ * @param {number[]}              offsets
+ * @param {Map<number,number[]>}  holders  value → slots holding it
+ * @returns {Set<number>}
+ */
+function _rootsAbove(forks, offsets, holders) {
+    const roots = new Set();
+    const seen  = new Set(forks);
+    const stack = [...forks];
+
+    while (stack.length > 0) {
+        const obj  = stack.pop();
+        const held = holders.get(obj);
+        if (!held) {
+            roots.add(obj);
+            continue;
+        }
+        for (const slot of held) {
+            for (const k of offsets) {
+                const parent = slot - k;
+                if (seen.has(parent)) continue;
+                seen.add(parent);
+                stack.push(parent);
+            }
+        }
+    }
+    return roots;
+}
+
+/** Child object bases of obj: the values of whichever child slots exist. */
+function _treeChildren(obj, offsets, getVal) {
+    const kids = [];
+    for (const k of offsets) {
+        const val = getVal(obj + k);
+        if (val !== undefined) kids.push(val);
+    }
+    return kids;
+}
+
+/** Does obj have any child slot (i.e. is it not a leaf)? */
+function _hasSlot(obj, offsets, getVal) {
+    return offsets.some(k => getVal(obj + k) !== undefined);
+}
+
+/**
+ * Breadth-first walk from root.  Returns null as soon as an object is reached
+ * twice or runs into one already claimed by another tree (claimed may be null).
+ *
+ * A root with a single child is taken to be the pointer the tree hangs from
+ * (a global root pointer seen through the offset pair), not a node, and the
+ * walk starts at that child.  Per batch, so a root that moves is followed.
+ * realRoot: the root was reached that way, or a child has both child slots.
+ *
+ * @returns {{ root: number, objects: number[], slots: number[], depth: number,
+ *             forked: boolean, realRoot: boolean } | null}
+ */
+function _walkTree(root, offsets, getVal, claimed) {
+    const lone     = _treeChildren(root, offsets, getVal);
+    const pointed  = lone.length === 1;
+    if (pointed) root = lone[0];
+    const realRoot = pointed || _treeChildren(root, offsets, getVal)
+        .some(kid => offsets.every(k => getVal(kid + k) !== undefined));
+
+    const objects = [root];
+    const slots   = [];
+    const seen    = new Set([root]);
+    let   level   = [root];
+    let   depth   = 0;
+    let   forked  = false;
+
+    while (level.length > 0) {
+        depth++;
+        const next = [];
+        for (const obj of level) {
+            let internalKids = 0;
+            for (const k of offsets) {
+                const kid = getVal(obj + k);
+                if (kid === undefined) continue;
+                if (seen.has(kid) || claimed?.has(kid)) return null;
+
+                slots.push(obj + k);
+                seen.add(kid);
+                objects.push(kid);
+                next.push(kid);
+                if (_hasSlot(kid, offsets, getVal)) internalKids++;
+            }
+            if (internalKids === 2) forked = true;
+        }
+        level = next;
+    }
+
+    return { root, objects, slots, depth, forked, realRoot };
+}
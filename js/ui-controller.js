@@ -11,6 +11,8 @@
  *   - Range toggle controls and recommendation display
  *   - Wii state compression panel
  *   - Triggering the scanner and displaying results
+ *   - Pause / cancel of a running scan, resuming a checkpointed one
+ *   - Saving / opening .bdram project files
  * =============================================================================
  */
 
@@ -21,6 +23,10 @@ class BDRAMUIController {
         this.systemId    = null;
         this.files       = [];          // File objects (raw uploads)
         this.trimmedData = [];          // { addresses, values, csvText, filename } | null per slot
+        this.targets     = [];          // target address text per slot ('' = none)
+        this.labels      = [];          // free-text label per slot (e.g. "World 1-2, 3 lives")
+        this.groups      = [];          // game-context group per slot (e.g. "battle"; '' = none)
+        this.batchSlots  = [];          // preprocessor batch index → file slot index
 
         // Global achievement counters
         this.globalStaticAchievementCount = 0;
@@ -35,10 +41,25 @@ class BDRAMUIController {
         // Scan parameter state (bound to UI controls)
         this.maxBreadth          = '0xFFC';
         this.maxDepth            = 12;
+        this.maxStatesPerDepth   = 100;
+        this.quorum              = 0;       // states a pointer must be in to count as static (0 = all)
+        this.anchorReferrers     = Config.get('anchorReferrers');   // ingest filters (preprocessor)
+        this.proximityBefore     = Config.get('proximityBefore');
+        this.proximityAfter      = Config.get('proximityAfter');
+        this.readmitted          = [];      // addresses exempt from the ingest filters
+        this.filtersBySystem     = new Map(); // systemId → ingest filters last set for it
         this.earlyOutBasePointer = false;
         this.earlyOutTarget      = false;
+        this.reverseScan         = false;
+        this.useWorkers          = true;
+        this.reverseNegWindow    = '0x100';
+        this.reversePosWindow    = '0xFFC';
         this.skipStickyPointers  = true;
+        this.pruneUnresolved     = false;   // drop (true) or flag (false) achievements that don't resolve
+        this.groupAnalysis       = false;   // also scan each group of files on its own
         this.enabledRanges       = new Set([0, 1, 2, 3]); // Ranges 1-4 by default
+        this.rangeLayout         = null;    // user-defined ranges / exclusion zones (null = the system's)
+        this.rangesKey           = null;    // the ranges enabledRanges refers to
 
         // Core modules
         this.preprocessor    = new Preprocessor();
@@ -49,6 +70,7 @@ class BDRAMUIController {
         this._initDOM();
         this._initEventListeners();
         this._updateGate();
+        this._checkForCheckpoint();
     }
 
     // =========================================================================
@@ -90,9 +112,28 @@ class BDRAMUIController {
         // Process button
         document.getElementById('processBtn').addEventListener('click', () => this._runProcessing());
 
+        // Project save / open
+        const projectInput = document.getElementById('projectFileInput');
+        document.getElementById('saveProjectBtn').addEventListener('click', () => this._saveProject());
+        document.getElementById('openProjectBtn').addEventListener('click', () => projectInput.click());
+        projectInput.addEventListener('change', e => {
+            if (e.target.files[0]) this._openProject(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Scan run controls and checkpoint banner
+        document.getElementById('pauseScanBtn').addEventListener('click',   () => this._togglePause());
+        document.getElementById('cancelScanBtn').addEventListener('click',  () => this._cancelScan());
+        document.getElementById('resumeScanBtn').addEventListener('click',  () => this._resumeScan());
+        document.getElementById('discardScanBtn').addEventListener('click', () => this._discardCheckpoint());
+
         // Scan parameter toggles (inside processing options panel)
         document.getElementById('earlyOutBasePointer').addEventListener('click', () => this._toggleParam('earlyOutBasePointer'));
         document.getElementById('earlyOutTarget').addEventListener('click',      () => this._toggleParam('earlyOutTarget'));
+        document.getElementById('reverseScan').addEventListener('click',         () => this._toggleParam('reverseScan'));
+        document.getElementById('useWorkers').addEventListener('click',          () => this._toggleParam('useWorkers'));
+        document.getElementById('pruneUnresolved').addEventListener('click',     () => this._toggleParam('pruneUnresolved'));
+        document.getElementById('groupAnalysis').addEventListener('click',       () => this._toggleParam('groupAnalysis'));
         document.getElementById('skipStickyPointers').addEventListener('click',  () => this._toggleSkipSticky());
 
         // Max breadth / depth inputs
@@ -103,6 +144,36 @@ class BDRAMUIController {
             const v = parseInt(e.target.value);
             if (v >= 1 && v <= 20) this.maxDepth = v;
         });
+        document.getElementById('maxStatesPerDepth').addEventListener('input', e => {
+            const v = parseInt(e.target.value);
+            if (v >= 1 && v <= 10000) this.maxStatesPerDepth = v;
+        });
+        document.getElementById('quorum').addEventListener('input', e => {
+            const v = parseInt(e.target.value);
+            if (v >= 0 && v <= 10) this._setQuorum(v);
+        });
+
+        // Ingest filters rebuild the pool, so they apply on change rather than per keystroke
+        for (const key of ['anchorReferrers', 'proximityBefore', 'proximityAfter']) {
+            document.getElementById(key).addEventListener('change', e => {
+                const v = parseInt(e.target.value);
+                if (v >= 0 && v <= 100000) this._setFilter(key, v);
+            });
+        }
+        document.getElementById('filterLookupBtn').addEventListener('click',    () => this._lookupRemoved());
+        document.getElementById('readmitBtn').addEventListener('click',         () => this._readmitAddresses());
+        document.getElementById('downloadRemovedBtn').addEventListener('click', () => this._downloadRemoved());
+        document.getElementById('downloadClassesBtn').addEventListener('click', () => this._downloadClasses());
+        document.getElementById('applyRangesBtn').addEventListener('click',     () => this._applyRangeLayout());
+        document.getElementById('estimateBtn').addEventListener('click',        () => this._runEstimate());
+
+        // Reverse scan offset window
+        document.getElementById('reverseNegWindow').addEventListener('input', e => {
+            if (CoreUtils.isValidHex(e.target.value)) this.reverseNegWindow = e.target.value.trim();
+        });
+        document.getElementById('reversePosWindow').addEventListener('input', e => {
+            if (CoreUtils.isValidHex(e.target.value)) this.reversePosWindow = e.target.value.trim();
+        });
 
         // Processing options panel toggle (chevron button)
         document.getElementById('processingOptionsToggle').addEventListener('click', () => {
@@ -156,8 +227,14 @@ class BDRAMUIController {
             // Reset everything when system changes
             this.files       = [];
             this.trimmedData = [];
+            this.targets     = [];
+            this.labels      = [];
+            this.groups      = [];
+            this.batchSlots  = [];
             this.preprocessor.reset();
             if (this.systemId) this.preprocessor.setSystem(this.systemId);
+            this._resetFilters();
+            this._setRangeLayout(Config.getRangeLayout(this.systemId));
             this._renderFileGrid();
             this._updateProcessingOptionsPanel(null);
         }
@@ -182,6 +259,7 @@ class BDRAMUIController {
 
         dropzone.classList.toggle('locked', !hasSystem);
         document.getElementById('fileInput').disabled = !hasSystem;
+        document.getElementById('saveProjectBtn').disabled = !hasSystem;
 
         // Process button requires system + ≥2 real files with trimmed data
         const readyFiles = this.trimmedData.filter(d => d !== null).length;
@@ -204,17 +282,18 @@ class BDRAMUIController {
     }
 
     _addFiles(newFiles) {
-        const csvFiles = newFiles.filter(f => f.name.toLowerCase().endsWith('.csv'));
-        if (csvFiles.length === 0) {
-            this._toast('Please select CSV files only', 'error');
+        const formats    = Config.get('supportedFormats');
+        const inputFiles = newFiles.filter(f => formats.some(ext => f.name.toLowerCase().endsWith(ext)));
+        if (inputFiles.length === 0) {
+            this._toast(`Please select ${formats.join(' / ')} files only`, 'error');
             return;
         }
 
         const maxFiles    = Config.get('maxFiles');
         const remaining   = maxFiles - this.files.length;
-        const toAdd       = csvFiles.slice(0, remaining);
+        const toAdd       = inputFiles.slice(0, remaining);
 
-        if (toAdd.length < csvFiles.length) {
+        if (toAdd.length < inputFiles.length) {
             this._toast(`Maximum ${maxFiles} files — only first ${toAdd.length} added`, 'warning');
         }
 
@@ -222,6 +301,9 @@ class BDRAMUIController {
             const index = this.files.length;
             this.files.push(file);
             this.trimmedData.push(null); // placeholder until trim completes
+            this.targets.push('');
+            this.labels.push('');
+            this.groups.push('');
             this._renderFileGrid();
             this._autoTrim(index, file); // fires async, updates row when done
         }
@@ -231,14 +313,21 @@ class BDRAMUIController {
 
     /**
      * Auto-trim: validate + filter CSV as soon as a file is uploaded.
+     * Raw dumps (.bin/.raw) are read as 32-bit words and go through the same
+     * validation, so they come out of here looking exactly like a trimmed CSV.
      * Row button shows "Processing…" until complete, then "Download".
      */
     async _autoTrim(index, file) {
         this._setTrimBtn(index, 'processing');
 
         try {
-            const text   = await file.text();
-            const parsed = await CoreUtils.parseCSV(text, this.systemId);
+            const parsed = CoreUtils.isRawDumpFile(file.name)
+                ? CoreUtils.parseRawDump(
+                      await file.arrayBuffer(),
+                      this.systemId,
+                      CoreUtils.getDumpBaseAddress(this.systemId, file.name)
+                  )
+                : await CoreUtils.parseCSV(await file.text(), this.systemId);
 
             if (parsed.addresses.length === 0) {
                 this._toast(`${file.name}: no valid rows found`, 'error');
@@ -252,7 +341,7 @@ class BDRAMUIController {
                 addresses: parsed.addresses,
                 values:    parsed.values,
                 csvText,
-                filename:  file.name.replace(/\.csv$/i, '_trimmed.csv')
+                filename:  file.name.replace(/\.(csv|bin|raw)$/i, '_trimmed.csv')
             };
 
             this._setTrimBtn(index, 'download');
@@ -270,6 +359,13 @@ class BDRAMUIController {
         this._updateGate();
     }
 
+    /**
+     * Feed a trimmed slot into the preprocessor.
+     *
+     * Trims finish asynchronously, so batch order is completion order, not slot
+     * order.  batchSlots records which slot each preprocessor batch came from so
+     * per-slot targets and removals reach the right batch.
+     */
     _addBatchToPreprocessor(index) {
         const data = this.trimmedData[index];
         if (!data) return;
@@ -279,6 +375,7 @@ class BDRAMUIController {
                 addresses: data.addresses,
                 values:    data.values
             });
+            this.batchSlots.push(index);
             this._updateProcessingOptionsPanel(counts);
         } catch (err) {
             console.error('Preprocessor error:', err);
@@ -294,16 +391,27 @@ class BDRAMUIController {
 
     removeFile(index) {
         // Remove from preprocessor first
-        try {
-            const counts = this.preprocessor.removeBatch(index);
-            this._updateProcessingOptionsPanel(counts);
-        } catch (err) {
-            // If batch wasn't fully processed yet, just reset counts
-            console.warn('removeBatch:', err.message);
+        const batchIndex = this.batchSlots.indexOf(index);
+        let counts = null;
+        if (batchIndex >= 0) {
+            try {
+                counts = this.preprocessor.removeBatch(batchIndex);
+                this.batchSlots.splice(batchIndex, 1);
+            } catch (err) {
+                console.warn('removeBatch:', err.message);
+            }
         }
 
+        // Slots above the removed one shift down
+        this.batchSlots = this.batchSlots.map(slot => (slot > index ? slot - 1 : slot));
+
         this.files.splice(index, 1);
         this.trimmedData.splice(index, 1);
+        this.targets.splice(index, 1);
+        this.labels.splice(index, 1);
+        this.groups.splice(index, 1);
+        // Redrawn once the slots have shifted, so the contrast matrix numbers them right
+        if (counts) this._updateProcessingOptionsPanel(counts);
         this._renderFileGrid();
         this._updateGate();
     }
@@ -331,9 +439,11 @@ class BDRAMUIController {
                 </div>
                 <button class="btn btn-trim" id="trimBtn-${i}" disabled>Processing…</button>
                 <div class="file-spacer"></div>
+                <input type="text" class="slot-label-input" id="labelInput-${i}" placeholder="Label" maxlength="60">
+                <input type="text" class="slot-group-input" id="groupInput-${i}" placeholder="Group" maxlength="20">
                 <div class="target-input-wrapper">
                     <span class="target-label">Target:</span>
-                    <input type="text" class="target-address-input" placeholder="0x00000000" maxlength="10">
+                    <input type="text" class="target-address-input" id="targetInput-${i}" placeholder="0x00000000" maxlength="10">
                 </div>
                 <button class="btn btn-remove" onclick="uiController.removeFile(${i})">×</button>
             `;
@@ -346,12 +456,25 @@ class BDRAMUIController {
             }
         }
 
-        // Wire download buttons after rendering
+        // Wire download buttons and target inputs after rendering.
+        // Targets, labels and groups live on the controller so re-renders don't wipe them.
         for (let i = 0; i < this.files.length; i++) {
             const btn = document.getElementById(`trimBtn-${i}`);
             if (btn && this.trimmedData[i] !== null) {
                 btn.addEventListener('click', () => this._downloadTrimmedFile(i));
             }
+
+            const targetInput = document.getElementById(`targetInput-${i}`);
+            targetInput.value = this.targets[i] || '';
+            targetInput.addEventListener('input', e => { this.targets[i] = e.target.value.trim(); });
+
+            const labelInput = document.getElementById(`labelInput-${i}`);
+            labelInput.value = this.labels[i] || '';
+            labelInput.addEventListener('input', e => { this.labels[i] = e.target.value; });
+
+            const groupInput = document.getElementById(`groupInput-${i}`);
+            groupInput.value = this.groups[i] || '';
+            groupInput.addEventListener('input', e => { this.groups[i] = e.target.value; });
         }
     }
 
@@ -395,8 +518,16 @@ class BDRAMUIController {
         document.getElementById('ppTotalStaticNodes').textContent   = counts.staticNodes.toLocaleString();
         document.getElementById('ppTotalDynamic').textContent       = counts.dynamicNodes.toLocaleString();
 
-        // Range breakdown
+        // Range breakdown, and where the nodes are densest
         this._renderRangeBreakdown(counts);
+        this._renderMemoryMap(counts.density);
+
+        // What the ingest filters removed, and the classes among it
+        this._renderFilterAudit(counts);
+        this._renderClassCatalogue(this.preprocessor.getClassCatalogue());
+
+        // How different the states are from each other
+        this._renderContrastMatrix(this.preprocessor.getContrast());
 
         // Recommendation text
         this._renderRecommendation(counts.recommendation);
@@ -421,7 +552,7 @@ class BDRAMUIController {
         const showSticky = !this.skipStickyPointers; // StaticStatics are only base pointers when SkipSticky is OFF
 
         // Full-range systems (e.g. GBA): no range selection, just informational
-        if (rangeMode === 'full') {
+        if (rangeMode === 'full' && !this.rangeLayout?.ranges.length) {
             const statics  = (ranges[0]?.staticNodes   || 0).toLocaleString();
             const stickies = (ranges[0]?.staticStatics || 0).toLocaleString();
             container.innerHTML = `
@@ -430,9 +561,12 @@ class BDRAMUIController {
                     <span class="range-count-pill statics">${statics} Statics</span>
                     ${showSticky ? `<span class="range-count-pill stickies">${stickies} StaticStatics</span>` : ''}
                 </div>`;
+            this._renderExclusions(container, counts.exclusions, showSticky);
             return;
         }
 
+        const span = r => `${CoreUtils.formatHex(r.min >>> 0)}–${CoreUtils.formatHex(r.max >>> 0)}`;
+
         for (let i = 0; i < ranges.length; i++) {
             const r      = ranges[i];
             const active = this.enabledRanges.has(i);
@@ -442,7 +576,7 @@ class BDRAMUIController {
             row.dataset.rangeIndex = i;
 
             row.innerHTML = `
-                <button class="range-pill-toggle${active ? ' active' : ''}" data-range-index="${i}" title="${active ? 'Click to disable' : 'Click to enable'}">
+                <button class="range-pill-toggle${active ? ' active' : ''}" data-range-index="${i}" title="${span(r)} — ${active ? 'click to disable' : 'click to enable'}">
                     <span class="range-pill-indicator"></span>
                     <span class="range-pill-label">${r.label}</span>
                 </button>
@@ -451,6 +585,7 @@ class BDRAMUIController {
             `;
             container.appendChild(row);
         }
+        this._renderExclusions(container, counts.exclusions, showSticky);
 
         // Wire toggle buttons
         container.querySelectorAll('.range-pill-toggle').forEach(btn => {
@@ -472,6 +607,164 @@ class BDRAMUIController {
         });
     }
 
+    /**
+     * Mini memory map: one bar per density bucket (height by node count,
+     * square-root scaled so small heaps still show), the suggested ranges
+     * marked, and a line per suggestion with the base pointers it would scan.
+     *
+     * @param {Object} density — counts.density from preprocessor.getCounts()
+     */
+    _renderMemoryMap(density) {
+        const container = document.getElementById('memoryMapContainer');
+        if (!container) return;
+
+        const { buckets, suggestions } = density;
+        const weight = b => b.staticNodes + (this.skipStickyPointers ? 0 : b.staticStatics);
+        const peak   = Math.max(1, ...buckets.map(b => b.staticNodes + b.staticStatics));
+        const hex    = n => CoreUtils.formatHex(n >>> 0);
+        const inSuggestion = b => suggestions.some(r => b.max >= r.min && b.min <= r.max);
+
+        let html = '<div class="memory-map">';
+        for (const b of buckets) {
+            const height = Math.sqrt((b.staticNodes + b.staticStatics) / peak) * 100;
+            html += `<div class="memory-map-bucket${inSuggestion(b) ? ' memory-map-bucket--suggested' : ''}" ` +
+                    `title="${hex(b.min)}–${hex(b.max)}: ${b.staticNodes} Statics, ${b.staticStatics} StaticStatics">` +
+                    `<span style="height:${height.toFixed(1)}%"></span></div>`;
+        }
+        html += '</div>';
+
+        if (suggestions.length === 0) {
+            container.innerHTML = html + '<p class="filter-audit">No StaticNodes yet, so no ranges to suggest</p>';
+            return;
+        }
+
+        html += '<div class="filter-audit">';
+        for (const r of suggestions) {
+            html += `<p>${r.label}: ${hex(r.min)}–${hex(r.max)} — ~${weight(r).toLocaleString()} base pointers ` +
+                    `(${(r.share * 100).toFixed(0)}% of the nodes)</p>`;
+        }
+        html += '</div><div class="filter-audit-actions">' +
+                '<button id="useSuggestedRangesBtn" class="btn btn-secondary">Use Suggested Ranges</button></div>';
+        container.innerHTML = html;
+
+        document.getElementById('useSuggestedRangesBtn')
+            .addEventListener('click', () => this._useSuggestedRanges(suggestions));
+    }
+
+    /** Exclusion zone rows under the range toggles, with what they hold. */
+    _renderExclusions(container, exclusions, showSticky) {
+        for (const r of exclusions || []) {
+            const row = document.createElement('div');
+            row.className = 'range-row range-row--excluded';
+            row.innerHTML = `
+                <span class="range-pill-label" title="Never scanned">Excluded: ${r.label}</span>
+                <span class="range-info-label">${CoreUtils.formatHex(r.min >>> 0)}–${CoreUtils.formatHex(r.max >>> 0)}</span>
+                <span class="range-count-pill statics">${r.staticNodes.toLocaleString()} Statics</span>
+                ${showSticky ? `<span class="range-count-pill stickies">${r.staticStatics.toLocaleString()} StaticStatics</span>` : ''}
+            `;
+            container.appendChild(row);
+        }
+    }
+
+    /**
+     * Pairwise state contrast as a matrix (one row / column per loaded file,
+     * in slot order — batches are in trim completion order), with near-duplicate pairs marked and a suggestion of
+     * which file to replace for each.
+     *
+     * @param {Object} contrast — result of preprocessor.getContrast()
+     */
+    _renderContrastMatrix(contrast) {
+        const container = document.getElementById('contrastMatrixContainer');
+        if (!container) return;
+
+        const n       = contrast.batchCount;
+        const order   = [...Array(n).keys()].sort((a, b) => this.batchSlots[a] - this.batchSlots[b]);
+        const pct     = x => `${(x * 100).toFixed(1)}%`;
+        const stateNo = b => this.batchSlots[b] + 1;
+        const title   = b => {
+            const slot = this.batchSlots[b];
+            return (this.labels[slot] || this.files[slot]?.name || '').replace(/"/g, '&quot;');
+        };
+        const dupes = new Set(contrast.duplicates.flatMap(d => [`${d.a},${d.b}`, `${d.b},${d.a}`]));
+
+        let html = '<table class="contrast-matrix"><thead><tr><th></th>';
+        for (const b of order) html += `<th title="${title(b)}">${stateNo(b)}</th>`;
+        html += '<th title="Mean contrast against every other state">Mean</th></tr></thead><tbody>';
+
+        for (const a of order) {
+            html += `<tr><th title="${title(a)}">${stateNo(a)}</th>`;
+            for (const b of order) {
+                const cell = contrast.matrix[a][b];
+                if (!cell) { html += '<td class="contrast-cell contrast-cell--self">&#8212;</td>'; continue; }
+                const tip = `Shared addresses ${pct(cell.jaccard)} · ` +
+                            `same value ${pct(cell.sticky)} · changed ${pct(cell.changeRate)}`;
+                const dup = dupes.has(`${a},${b}`) ? ' contrast-cell--duplicate' : '';
+                html += `<td class="contrast-cell${dup}" title="${tip}">${pct(cell.contrast)}</td>`;
+            }
+            html += `<td class="contrast-cell contrast-cell--mean">${pct(contrast.meanContrast[a])}</td></tr>`;
+        }
+        html += '</tbody></table>';
+
+        for (const d of contrast.duplicates) {
+            html += `<p class="rec-warn">⚠️ States ${stateNo(d.a)} and ${stateNo(d.b)} are near-duplicates ` +
+                    `(${pct(d.contrast)} contrast) — replace state ${stateNo(d.replace)} ` +
+                    `with one from a different situation.</p>`;
+        }
+
+        container.innerHTML = html;
+    }
+
+    /** Per-state count of what the ingest filters removed, plus the re-admitted addresses. */
+    _renderFilterAudit(counts) {
+        const container = document.getElementById('filterAudit');
+        if (!container) return;
+
+        const rows = counts.filtered
+            .map((f, b) => ({ ...f, state: this.batchSlots[b] + 1 }))
+            .sort((a, b) => a.state - b.state)
+            .map(f => `<p>State ${f.state}: ${f.anchor.toLocaleString()} anchor, ` +
+                      `${f.proximity.toLocaleString()} proximity removed</p>`);
+
+        if (this.readmitted.length) {
+            rows.push(`<p>Re-admitted: ${this.readmitted.map(a => CoreUtils.formatHex(a)).join(', ')}</p>`);
+        }
+        container.innerHTML = rows.join('');
+    }
+
+    /**
+     * Instances per class per state for the classes with the most instances
+     * (the full catalogue is in the download).
+     *
+     * @param {Object[]} classes — result of preprocessor.getClassCatalogue()
+     */
+    _renderClassCatalogue(classes) {
+        const container = document.getElementById('classCatalogueContainer');
+        if (!container) return;
+
+        if (classes.length === 0) {
+            container.innerHTML = '<p class="filter-audit">No anchor values, so no classes</p>';
+            return;
+        }
+
+        const shown = 10;
+        const order = [...this.batchSlots.keys()].sort((a, b) => this.batchSlots[a] - this.batchSlots[b]);
+
+        let html = '<table class="class-catalogue"><thead><tr><th>Vtable</th>';
+        for (const b of order) html += `<th>${this.batchSlots[b] + 1}</th>`;
+        html += '</tr></thead><tbody>';
+        for (const cls of classes.slice(0, shown)) {
+            html += `<tr><th>${CoreUtils.formatHex(cls.vtable)}</th>`;
+            for (const b of order) html += `<td class="contrast-cell">${cls.instances[b].toLocaleString()}</td>`;
+            html += '</tr>';
+        }
+        html += '</tbody></table>';
+        if (classes.length > shown) {
+            html += `<p class="filter-audit">…and ${(classes.length - shown).toLocaleString()} more</p>`;
+        }
+
+        container.innerHTML = html;
+    }
+
     _renderRecommendation(rec) {
         const box = document.getElementById('recommendationBox');
         if (!rec || (!rec.warning && !rec.skipSticky)) {
@@ -501,6 +794,7 @@ class BDRAMUIController {
         if (rec.skipSticky !== this.skipStickyPointers) {
             this.skipStickyPointers = rec.skipSticky;
             this._syncToggleBtn('skipStickyPointers', this.skipStickyPointers);
+            this.preprocessor.setSkipSticky(this.skipStickyPointers);
         }
         // Range 1 is always the default — no change needed
     }
@@ -519,9 +813,166 @@ class BDRAMUIController {
         this.skipStickyPointers = !this.skipStickyPointers;
         this._syncToggleBtn('skipStickyPointers', this.skipStickyPointers);
         console.log(`skipStickyPointers: ${this.skipStickyPointers}`);
+        // Suggested ranges are weighted by the nodes the scan will start from
+        this.preprocessor.setSkipSticky(this.skipStickyPointers);
         // Re-render range breakdown — StaticStatics column only shows when SkipSticky is OFF
         const counts = this.preprocessor?.getCounts?.();
-        if (counts) this._renderRangeBreakdown(counts);
+        if (counts) {
+            this._renderRangeBreakdown(counts);
+            this._renderMemoryMap(counts.density);
+        }
+    }
+
+    // =========================================================================
+    // Scan range layout
+    // =========================================================================
+
+    /**
+     * Use a range layout (see Config) for the breakdown and the scan.  If its
+     * ranges differ from the current ones they are all enabled; otherwise
+     * (only the exclusion zones changed) the user's toggles are kept.
+     */
+    _setRangeLayout(layout) {
+        const ranges = Config.getRanges(this.systemId, layout);
+        const key    = ranges.map(r => `${r.min}-${r.max}`).join(',');
+        if (key !== this.rangesKey) {
+            this.rangesKey     = key;
+            this.enabledRanges = new Set(ranges.map((_, i) => i));
+        }
+        this.rangeLayout = layout;
+        this.preprocessor.setRangeLayout(layout);
+        document.getElementById('rangeLayoutInput').value = Config.formatRangeLayout(layout);
+    }
+
+    /** Read the layout typed into the ranges box and re-count. */
+    _applyRangeLayout() {
+        let layout;
+        try {
+            layout = Config.parseRangeLayout(document.getElementById('rangeLayoutInput').value);
+        } catch (err) {
+            this._toast(err.message, 'error');
+            return;
+        }
+
+        this._setRangeLayout(layout);
+        this._updateProcessingOptionsPanel(this.preprocessor.getCounts());
+        this._toast(
+            `${layout.ranges.length || 'Default'} range(s), ${layout.exclusions.length} exclusion zone(s)`,
+            'success'
+        );
+    }
+
+    /** Scan the suggested ranges instead, keeping the exclusion zones. */
+    _useSuggestedRanges(suggestions) {
+        this._setRangeLayout({
+            ranges:     suggestions.map(({ label, min, max }) => ({ label, min, max })),
+            exclusions: this.rangeLayout?.exclusions || []
+        });
+        this._updateProcessingOptionsPanel(this.preprocessor.getCounts());
+        this._toast(`Scanning ${suggestions.length} suggested range(s)`, 'success');
+    }
+
+    // =========================================================================
+    // Ingest filters
+    // =========================================================================
+
+    _filterSettings() {
+        return {
+            anchorReferrers: this.anchorReferrers,
+            proximityBefore: this.proximityBefore,
+            proximityAfter:  this.proximityAfter,
+            readmitted:      this.readmitted
+        };
+    }
+
+    /**
+     * The selected system's filters — as last set for it this session, else
+     * its defaults — with nothing re-admitted.
+     */
+    _resetFilters() {
+        Object.assign(this, Config.getFilterDefaults(this.systemId), this.filtersBySystem.get(this.systemId));
+        this.readmitted = [];
+        for (const key of ['anchorReferrers', 'proximityBefore', 'proximityAfter']) {
+            document.getElementById(key).value = this[key];
+        }
+        this.preprocessor.setFilters(this._filterSettings());
+    }
+
+    _setFilter(key, value) {
+        this[key] = value;
+        this._rememberFilters();
+        this._applyFilters();
+    }
+
+    /** Keep the current filters for the selected system (see _resetFilters). */
+    _rememberFilters() {
+        if (!this.systemId) return;
+        const { anchorReferrers, proximityBefore, proximityAfter } = this;
+        this.filtersBySystem.set(this.systemId, { anchorReferrers, proximityBefore, proximityAfter });
+    }
+
+    /**
+     * The filters only apply as batches are added, so every trimmed batch is
+     * replayed into a fresh pool, in the same order.
+     */
+    _applyFilters() {
+        this.preprocessor.setFilters(this._filterSettings());
+        if (!this.systemId) return;
+
+        const slots = this.batchSlots;
+        this.batchSlots = [];
+        this.preprocessor.reset();
+        this.preprocessor.setSystem(this.systemId);
+        for (const slot of slots) this._addBatchToPreprocessor(slot);
+    }
+
+    /** Addresses typed into the lookup box (comma / space separated hex). */
+    _lookupAddresses() {
+        return document.getElementById('filterLookupInput').value
+            .split(/[\s,]+/)
+            .filter(v => CoreUtils.isValidHex(v))
+            .map(v => CoreUtils.parseHex(v));
+    }
+
+    /** Show which states' filters removed each looked-up address, and why. */
+    _lookupRemoved() {
+        const lines = this._lookupAddresses().map(addr => {
+            const found = this.preprocessor.findRemoved(addr)
+                .map(r => ({ ...r, state: this.batchSlots[r.batch] + 1 }))
+                .sort((a, b) => a.state - b.state)
+                .map(r => `state ${r.state} (${r.reason}, value ${CoreUtils.formatHex(r.value)})`);
+            return `<p>${CoreUtils.formatHex(addr)} — ` +
+                   `${found.length ? `removed in ${found.join(', ')}` : 'not removed by a filter'}</p>`;
+        });
+        document.getElementById('filterLookupResult').innerHTML = lines.join('');
+    }
+
+    /** Exempt the looked-up addresses from the filters and rebuild the pool. */
+    _readmitAddresses() {
+        const added = this._lookupAddresses().filter(addr => !this.readmitted.includes(addr));
+        if (added.length === 0) return;
+
+        this.readmitted = [...this.readmitted, ...added];
+        this._applyFilters();
+        document.getElementById('filterLookupResult').innerHTML = '';
+        this._toast(`Re-admitted ${added.length} address(es)`, 'success');
+    }
+
+    _downloadRemoved() {
+        const csv = this.preprocessor.getRemovedCsv(b => this.batchSlots[b] + 1);
+        this._downloadBlob(csv, `${this.systemId}-filtered.csv`, 'text/csv');
+    }
+
+    _downloadClasses() {
+        const csv = this.preprocessor.getClassCsv(b => this.batchSlots[b] + 1);
+        this._downloadBlob(csv, `${this.systemId}-classes.csv`, 'text/csv');
+    }
+
+    /** A new quorum reclassifies the pool, so the counts are redrawn. */
+    _setQuorum(quorum) {
+        this.quorum = quorum;
+        this.preprocessor.setQuorum(quorum);
+        this._updateProcessingOptionsPanel(this.preprocessor.getCounts());
     }
 
     _syncToggleBtn(id, active) {
@@ -672,6 +1123,91 @@ class BDRAMUIController {
             return;
         }
 
+        if (this.reverseScan && !this._getBatchTargets().some(t => t !== null)) {
+            this._toast('Reverse scan needs a target address on at least one file', 'error');
+            return;
+        }
+
+        // States to check the generated logic against, in batch order
+        const batchData = this.batchSlots.map(slot => this.trimmedData[slot]);
+
+        await this._runScan(this.systemId, batchData, () => {
+            this._configureScanner(this.scanner);
+
+            // Targets are bound to the batch they were entered for, and the
+            // generator needs them before achievements start streaming.
+            const batchTargets = this._getBatchTargets();
+            this.generator.setTargetAddresses(batchTargets);
+            this.generator.updateSystem(this.systemId);
+
+            // Collapse preprocessor pool into typed arrays
+            const preprocessorOutput = this.preprocessor.collapse();
+
+            return this.scanner.processBatches(preprocessorOutput, batchTargets);
+        });
+    }
+
+    /** Copy the scan settings on screen onto a scanner. */
+    _configureScanner(scanner) {
+        scanner.maxBreadth          = this.maxBreadth;
+        scanner.maxDepth            = this.maxDepth;
+        scanner.maxStatesPerDepth   = this.maxStatesPerDepth;
+        scanner.quorum              = this.quorum;
+        scanner.earlyOutBasePointer = this.earlyOutBasePointer;
+        scanner.earlyOutTarget      = this.earlyOutTarget;
+        scanner.scanMode            = this.reverseScan ? 'reverse' : 'forward';
+        scanner.useWorkers          = this.useWorkers;
+        scanner.reverseNegWindow    = this.reverseNegWindow;
+        scanner.reversePosWindow    = this.reversePosWindow;
+        scanner.skipStickyPointers  = this.skipStickyPointers;
+        scanner.enabledRanges       = Array.from(this.enabledRanges);
+        scanner.rangeLayout         = this.rangeLayout;
+        scanner.groupAnalysis       = this.groupAnalysis;
+        scanner.batchGroups         = this.batchSlots.map(slot => this.groups[slot] || '');
+    }
+
+    /**
+     * Dry-run the scan on a sample of base pointers (scan-estimator.js) and
+     * show the estimated time and memory next to the Process button.  The
+     * pool is collapsed with keepPool, so nothing has to be loaded again.
+     */
+    async _runEstimate() {
+        if (!this.systemId || this.trimmedData.filter(d => d !== null).length < 2) {
+            this._toast('Upload and process at least 2 files first', 'error');
+            return;
+        }
+
+        const btn  = document.getElementById('estimateBtn');
+        const text = document.getElementById('scanEstimate');
+        btn.disabled     = true;
+        text.textContent = 'Estimating…';
+
+        try {
+            const scanner = new BDRAMScanner();
+            this._configureScanner(scanner);
+            const e = await estimateScan(
+                scanner, this.preprocessor.collapse({ keepPool: true }), this._getBatchTargets()
+            );
+            text.textContent =
+                `About ${formatDuration(e.totalSeconds)} and ${CoreUtils.formatBytes(Math.round(e.memoryBytes))} ` +
+                `for ${e.basePointers.toLocaleString()} base pointers ` +
+                `(${e.perBaseMs.toFixed(1)} ms each${e.workers > 1 ? ` across ${e.workers} workers` : ''}) ` +
+                `at Max Depth ${this.maxDepth}, Max Breadth ${this.maxBreadth}`;
+        } catch (err) {
+            text.textContent = err.message;
+        } finally {
+            btn.disabled = false;
+            this._resetAllStages();
+        }
+    }
+
+    /**
+     * Shared run wrapper for fresh and resumed scans: UI state, Pause/Cancel,
+     * results display and error handling.  `start` kicks off the scanner and
+     * returns its result promise.  `batchData` (trimmed slot data per batch,
+     * or null) is what the generated logic is checked against.
+     */
+    async _runScan(systemId, batchData, start) {
         this._resetAllStages();
         document.getElementById('processingSection').style.display = 'block';
         document.getElementById('processingSection').scrollIntoView({ behavior: 'smooth' });
@@ -679,31 +1215,18 @@ class BDRAMUIController {
         const processBtn = document.getElementById('processBtn');
         processBtn.disabled  = true;
         processBtn.innerHTML = '<span class="btn-icon">⏳</span> Processing…';
+        this._setScanControls(true);
 
-        try {
-            // Configure scanner
-            this.scanner.maxBreadth          = this.maxBreadth;
-            this.scanner.maxDepth            = this.maxDepth;
-            this.scanner.earlyOutBasePointer = this.earlyOutBasePointer;
-            this.scanner.earlyOutTarget      = this.earlyOutTarget;
-            this.scanner.skipStickyPointers  = this.skipStickyPointers;
-            this.scanner.enabledRanges       = Array.from(this.enabledRanges);
-            this.scanner.generator           = this.generator;
-
-            // Collapse preprocessor pool into typed arrays
-            const preprocessorOutput = this.preprocessor.collapse();
+        // Fresh scanner per run so a cancelled run leaves nothing behind.
+        this.scanner           = new BDRAMScanner();
+        this.scanner.generator = this.generator;
 
-            // Collect target addresses from file rows
-            const targetAddresses = this._getTargetAddresses();
-
-            const result = await this.scanner.processBatches(preprocessorOutput, targetAddresses);
+        try {
+            const result = await start();
 
             globalEventBus.emit('stage:update',    { stage: 'generate', status: 'active' });
             globalEventBus.emit('progress:update', { percent: 95, status: 'Generating achievements…' });
 
-            this.generator.setTargetAddresses(targetAddresses);
-            this.generator.updateSystem(this.systemId);
-
             let txtContent, achievements;
 
             if (result.isStreamed && result.streamedOutput) {
@@ -717,38 +1240,162 @@ class BDRAMUIController {
             globalEventBus.emit('stage:update',    { stage: 'generate', status: 'completed' });
             globalEventBus.emit('progress:update', { percent: 100, status: 'Done!' });
 
-            const staticContent = result.staticOutput
-                ? `// AUTO-GENERATED STATIC LIST ACHIEVEMENTS\n// System: ${this.systemId}\n\n${result.staticOutput}`
-                : null;
+            const staticHeader = `// AUTO-GENERATED STATIC LIST ACHIEVEMENTS\n// System: ${systemId}\n\n`;
+            let staticContent  = result.staticOutput ? staticHeader + result.staticOutput : null;
+            const checkMode    = this.pruneUnresolved ? 'prune' : 'flag';
+
+            let logicCheck = null;
+            if (batchData) {
+                globalEventBus.emit('progress:update', { percent: 97, status: 'Checking achievement logic against states…' });
+                // Flag or prune achievements whose chains break in some state
+                const checked = LogicEvaluator.checkTexts(
+                    systemId, batchData, { txtContent, staticContent }, checkMode
+                );
+                ({ txtContent, staticContent } = checked.texts);
+                logicCheck = checked.logicCheck;
+            }
+
+            // Group-specific results go after the universal ones; their logic
+            // only has to hold in their own group's states.
+            let targetPaths = result.targetPaths;
+            let groups      = null;
+            if (result.groups?.length) {
+                const grouped = checkGroupOutputs(systemId, batchData, result.groups, checkMode);
+                txtContent += grouped.streamedOutput;
+                if (grouped.staticOutput) staticContent = (staticContent || staticHeader) + grouped.staticOutput;
+                if (logicCheck) {
+                    logicCheck.checked    += grouped.logicCheck.checked;
+                    logicCheck.unresolved += grouped.logicCheck.unresolved;
+                }
+                targetPaths = [...targetPaths, ...result.groups.flatMap(g => g.targetPaths)];
+                groups      = result.groups.map(g => ({
+                    name:             g.name,
+                    batches:          g.batches,
+                    achievementCount: g.achievementCount,
+                    targetPathCount:  g.targetPaths.length
+                }));
+            }
 
-            this.processedResult = { ...result, achievements, txtContent, staticContent, systemId: this.systemId };
+            this.processedResult = {
+                ...result, targetPaths, groups, achievements, txtContent, staticContent, systemId, logicCheck
+            };
             this._displayResults();
             this._toast('Processing complete!', 'success');
 
         } catch (err) {
-            console.error('Processing error:', err);
-            this._toast('Processing failed: ' + err.message, 'error');
-            globalEventBus.emit('stage:update', { stage: 'static-list', status: 'error' });
+            if (err.details?.cancelled) {
+                await CheckpointStore.clear().catch(() => {});
+                globalEventBus.emit('progress:update', { percent: 0, status: 'Cancelled' });
+                this._toast('Scan cancelled', 'info');
+            } else {
+                console.error('Processing error:', err);
+                this._toast('Processing failed: ' + err.message, 'error');
+                globalEventBus.emit('stage:update', { stage: 'static-list', status: 'error' });
+            }
         } finally {
             processBtn.disabled  = false;
             processBtn.innerHTML = '<span class="btn-icon">▶</span> Process Batches';
+            this._setScanControls(false);
+        }
+    }
+
+    // =========================================================================
+    // Pause / cancel / resume
+    // =========================================================================
+
+    _setScanControls(running) {
+        const pauseBtn  = document.getElementById('pauseScanBtn');
+        const cancelBtn = document.getElementById('cancelScanBtn');
+        pauseBtn.disabled   = !running;
+        cancelBtn.disabled  = !running;
+        pauseBtn.innerHTML  = '&#10074;&#10074; Pause';
+    }
+
+    _togglePause() {
+        const pauseBtn = document.getElementById('pauseScanBtn');
+        if (this.scanner.paused) {
+            this.scanner.resume();
+            pauseBtn.innerHTML = '&#10074;&#10074; Pause';
+        } else {
+            this.scanner.pause();
+            pauseBtn.innerHTML = '&#9654; Continue';
+            this._toast('Pausing — progress is saved so you can resume later', 'info');
         }
     }
 
+    _cancelScan() {
+        this.scanner.cancel();
+        document.getElementById('pauseScanBtn').disabled  = true;
+        document.getElementById('cancelScanBtn').disabled = true;
+    }
+
+    /** Offer to resume if a previous scan left a checkpoint behind. */
+    async _checkForCheckpoint() {
+        let checkpoint;
+        try {
+            checkpoint = await CheckpointStore.load();
+        } catch (err) {
+            console.warn(err.message);
+            return;
+        }
+        if (!checkpoint) return;
+
+        const { scan, progress } = checkpoint;
+        const system = Config.getSystemConfig(scan.systemId)?.name || scan.systemId;
+        const when   = new Date(progress.savedAt).toLocaleString();
+        document.getElementById('resumeText').textContent =
+            `Unfinished ${system} scan from ${when} — ` +
+            `${progress.done.toLocaleString()} of ${progress.total.toLocaleString()} base pointers done.`;
+        document.getElementById('resumeBanner').style.display = 'flex';
+    }
+
+    async _resumeScan() {
+        document.getElementById('resumeBanner').style.display = 'none';
+
+        let checkpoint;
+        try {
+            checkpoint = await CheckpointStore.load();
+        } catch (err) {
+            this._toast('Could not load the saved scan: ' + err.message, 'error');
+            return;
+        }
+        if (!checkpoint) { this._toast('No saved scan to resume', 'error'); return; }
+
+        // The loaded files may not be the checkpoint's batches, so no logic check
+        const { scan } = checkpoint;
+        await this._runScan(scan.systemId, null, () => {
+            this.generator.updateSystem(scan.systemId);
+            this.generator.setTargetAddresses(scan.batchTargets);
+            return this.scanner.resumeFromCheckpoint(checkpoint);
+        });
+    }
+
+    async _discardCheckpoint() {
+        document.getElementById('resumeBanner').style.display = 'none';
+        try {
+            await CheckpointStore.clear();
+        } catch (err) {
+            this._toast('Could not discard the saved scan: ' + err.message, 'error');
+            return;
+        }
+        this._toast('Saved scan discarded', 'info');
+    }
+
     _streamHeader() {
         return '// AUTO-GENERATED TEST ACHIEVEMENTS\n// Total achievements: streamed\n\n';
     }
 
-    _getTargetAddresses() {
-        const addresses = [];
-        document.querySelectorAll('.target-address-input').forEach(input => {
-            const v = input.value.trim();
-            if (v) {
-                const parsed = parseInt(v.replace(/^0x/i, ''), 16);
-                if (!isNaN(parsed) && parsed > 0) addresses.push(parsed);
-            }
+    /**
+     * Target address per preprocessor batch (null = no target for that batch),
+     * resolved through batchSlots so each target stays with its own file.
+     */
+    _getBatchTargets() {
+        return this.batchSlots.map(slot => {
+            const v = this.targets[slot];
+            if (!v || !CoreUtils.isValidHex(v)) return null;
+            const parsed = CoreUtils.parseHex(v.trim());
+            return parsed > 0 ? parsed : null;
         });
-        return addresses;
     }
 
     // =========================================================================
@@ -792,6 +1439,8 @@ class BDRAMUIController {
         if (statTimeEl) statTimeEl.textContent = `${r.processingTime}s`;
 
         this._displayTargetPaths();
+        this._displayLogicCheck();
+        this._displayGroupSummary();
 
         const resultsSection = document.getElementById('resultsSection');
         resultsSection.style.display = 'block';
@@ -805,12 +1454,51 @@ class BDRAMUIController {
 
         if (!paths || paths.length === 0) { card.style.display = 'none'; return; }
 
-        display.textContent = paths.map(tp =>
-            `${tp.basePointer} ${tp.path} → Target ${tp.targetAddress}`
-        ).join('\n');
+        display.textContent = paths.map(tp => {
+            const perBatch = (tp.batchTargets || [])
+                .map((t, b) => (t ? `B${b + 1}=${t}` : null))
+                .filter(Boolean)
+                .join(', ');
+            return (tp.group ? `[${tp.group}] ` : '') +
+                   `${tp.basePointer} ${tp.path} → Target ${tp.targetAddress}` +
+                   (perBatch ? ` (${perBatch})` : '');
+        }).join('\n');
         card.style.display = 'block';
     }
 
+    _displayLogicCheck() {
+        const el    = document.getElementById('logicCheckSummary');
+        const check = this.processedResult?.logicCheck;
+
+        if (!check) { el.style.display = 'none'; return; }
+
+        const action = check.mode === 'prune' ? 'removed' : 'marked UNRESOLVED';
+        el.textContent = check.unresolved === 0
+            ? `✅ All ${check.checked.toLocaleString()} achievements resolve in every state.`
+            : `⚠️ ${check.unresolved.toLocaleString()} of ${check.checked.toLocaleString()} achievements ` +
+              `have a pointer chain that breaks in at least one state — ${action}.`;
+        el.style.display = 'block';
+    }
+
+    _displayGroupSummary() {
+        const el     = document.getElementById('groupSummary');
+        const r      = this.processedResult;
+        const groups = r?.groups;
+
+        if (!groups || groups.length === 0) { el.style.display = 'none'; return; }
+
+        const plural    = (n, word) => `${n.toLocaleString()} ${word}${n === 1 ? '' : 's'}`;
+        const universal = (r.targetPaths || []).filter(tp => !tp.group).length;
+        el.textContent = [
+            `Universal: ${plural(r.structureCount || 0, 'structure')}, ${plural(universal, 'target path')}`,
+            ...groups.map(g =>
+                `${g.name} (${g.batches.length} states): ${plural(g.achievementCount, 'group-specific achievement')}, ` +
+                plural(g.targetPathCount, 'target path')
+            )
+        ].join(' · ');
+        el.style.display = 'block';
+    }
+
     // =========================================================================
     // Download helpers
     // =========================================================================
@@ -849,6 +1537,135 @@ class BDRAMUIController {
         URL.revokeObjectURL(url);
     }
 
+    // =========================================================================
+    // Project files (.bdram)
+    // =========================================================================
+
+    _saveProject() {
+        if (!this.systemId) return;
+        if (this.trimmedData.some(d => d === null)) {
+            this._toast('Wait for every file to finish processing before saving', 'warning');
+            return;
+        }
+
+        const text     = ProjectFile.serialize(this._buildProject());
+        const filename = ProjectFile.defaultFilename(this.systemId);
+        this._downloadBlob(text, filename, 'application/json');
+        this._toast(`Saved ${filename}`, 'success');
+    }
+
+    async _openProject(file) {
+        try {
+            const project = ProjectFile.parse(await file.text());
+            this._applyProject(project);
+            this._toast(`Opened ${file.name}: ${project.slots.length} file(s)`, 'success');
+        } catch (err) {
+            console.error('Project open error:', err);
+            this._toast(`Could not open ${file.name}: ${err.message}`, 'error');
+        }
+    }
+
+    /** Snapshot of everything on screen, in ProjectFile's project shape. */
+    _buildProject() {
+        const settings = {};
+        for (const key of ProjectFile.SETTINGS) settings[key] = this[key];
+        settings.enabledRanges = Array.from(this.enabledRanges);
+        settings.readmitted    = this.readmitted;
+        settings.rangeLayout   = this.rangeLayout;
+
+        const r = this.processedResult;
+
+        return {
+            savedAt:  new Date().toISOString(),
+            systemId: this.systemId,
+            slots: this.files.map((file, i) => ({
+                name:    file.name,
+                size:    file.size,
+                label:   this.labels[i] || '',
+                group:   this.groups[i] || '',
+                target:  this.targets[i] || '',
+                trimmed: this.trimmedData[i] && {
+                    filename:  this.trimmedData[i].filename,
+                    addresses: this.trimmedData[i].addresses,
+                    values:    this.trimmedData[i].values
+                }
+            })),
+            batchSlots: this.batchSlots,
+            settings,
+            generatorIds: {
+                staticId:  this.generator.staticId,
+                targetId:  this.generator.targetId,
+                regularId: this.generator.regularId
+            },
+            achievementCounts: {
+                static:  this.globalStaticAchievementCount,
+                dynamic: this.globalDynamicAchievementCount
+            },
+            result: r && {
+                systemId:       r.systemId,
+                batchCount:     r.batchCount,
+                structureCount: r.structureCount,
+                processingTime: r.processingTime,
+                targetPaths:    r.targetPaths,
+                groups:         r.groups,
+                logicCheck:     r.logicCheck,
+                txtContent:     r.txtContent,
+                staticContent:  r.staticContent
+            }
+        };
+    }
+
+    /**
+     * Replace the workspace with a parsed project.  Batches are replayed into
+     * a fresh preprocessor in their original order so the pool comes out the
+     * same as when the project was saved.
+     */
+    _applyProject(project) {
+        // Switch system with a forced reset, even if it's the one already selected
+        document.getElementById('systemSelect').value = project.systemId;
+        this.systemId = null;
+        this._onSystemChange(project.systemId);
+
+        // Settings, before batches so the range breakdown renders with them
+        for (const key of ProjectFile.SETTINGS) {
+            if (!(key in project.settings)) continue;
+            this[key] = project.settings[key];
+            if (typeof this[key] === 'boolean') this._syncToggleBtn(key, this[key]);
+            else document.getElementById(key).value = this[key];
+        }
+        if (project.settings.rangeLayout) this._setRangeLayout(project.settings.rangeLayout);
+        this.enabledRanges = new Set(project.settings.enabledRanges || [0]);
+        this.readmitted    = project.settings.readmitted || [];
+        this.preprocessor.setQuorum(this.quorum);
+        this.preprocessor.setSkipSticky(this.skipStickyPointers);
+        this.preprocessor.setFilters(this._filterSettings());
+        this._rememberFilters();
+
+        // Slots
+        this.files       = project.slots.map(s => ({ name: s.name, size: s.size }));
+        this.labels      = project.slots.map(s => s.label  || '');
+        this.groups      = project.slots.map(s => s.group  || '');
+        this.targets     = project.slots.map(s => s.target || '');
+        this.trimmedData = project.slots.map(s => s.trimmed && {
+            ...s.trimmed,
+            csvText: CoreUtils.buildTrimmedCsv(s.trimmed.addresses, s.trimmed.values)
+        });
+        this._renderFileGrid();
+
+        for (const slot of project.batchSlots) this._addBatchToPreprocessor(slot);
+        this._updateGate();
+
+        // Results
+        Object.assign(this.generator, project.generatorIds);
+        this.globalStaticAchievementCount  = project.achievementCounts?.static  || 0;
+        this.globalDynamicAchievementCount = project.achievementCounts?.dynamic || 0;
+
+        this.processedResult = project.result;
+        document.getElementById('processingSection').style.display = 'none';
+        if (this.processedResult) this._displayResults();
+        else document.getElementById('resultsSection').style.display = 'none';
+    }
+
     // =========================================================================
     // Instructions text
     // =========================================================================
@@ -919,8 +1736,11 @@ class BDRAMUIController {
         const fill = document.getElementById('progressFill');
         const text = fill?.querySelector('.progress-text');
         const statusEl = document.getElementById('statusText');
-        if (fill)    fill.style.width    = percent + '%';
-        if (text)    text.textContent    = percent + '%';
+        // percent null = status-only update (e.g. paused); leave the bar as is
+        if (percent !== null) {
+            if (fill)    fill.style.width    = percent + '%';
+            if (text)    text.textContent    = percent + '%';
+        }
         if (statusEl) statusEl.textContent = status;
     }
 